@@ -0,0 +1,29 @@
+// Give an existing account the admin role: npm run make-admin -- someone@example.com
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const email = (process.argv[2] || '').trim().toLowerCase();
+if (!email) {
+  console.error('Usage: npm run make-admin -- <email>');
+  process.exit(1);
+}
+
+try {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/urlshortener', {
+    serverSelectionTimeoutMS: 5000
+  });
+  const result = await mongoose.connection.collection('users').updateOne({ email }, { $set: { role: 'admin' } });
+  if (result.matchedCount === 0) {
+    console.error(`No account with the email ${email}, register it first`);
+    process.exitCode = 1;
+  } else {
+    console.log(`${email} is now an admin`);
+  }
+} catch (error) {
+  console.error('Error making admin:', error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -1,12 +1,21 @@
 import express from 'express';
 import mongoose from 'mongoose';
 import cors from 'cors';
+import { rateLimit } from 'express-rate-limit';
 import dotenv from 'dotenv';
-import { nanoid } from 'nanoid';
+import { customAlphabet, urlAlphabet } from 'nanoid';
 import UAParser from 'ua-parser-js';
 import geoip from 'geoip-lite';
 import multer from 'multer';
 import crypto from 'crypto';
+import net from 'net';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import { URL as WebURL } from 'url'; // URL is the Mongoose model below
+import bcrypt from 'bcrypt';
+import QRCode from 'qrcode';
+import { PNG } from 'pngjs';
 
 dotenv.config();
 const app = express();
@@ -33,6 +42,8 @@ const mongoOptions = {
   maxIdleTimeMS: 30000, // Close connections after 30s of inactivity
 };
 
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/urlshortener';
+
 // Mongoose-specific options
 const mongooseOptions = {
   bufferCommands: false, // Disable mongoose buffering (prevents timeout errors)
@@ -70,13 +81,16 @@ async function connectToMongoDB() {
         }
       }
 
-      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/urlshortener', {
+      await mongoose.connect(MONGODB_URI, {
         ...mongooseOptions,
         ...mongoOptions
       });
       isConnected = true;
       console.log('Connected to MongoDB');
       
+      runMigrations().catch(err => console.error('Error running migrations:', err));
+      syncClickRetentionIndex().catch(err => console.error('Error syncing click retention index:', err));
+      
       mongoose.connection.on('error', (err) => {
         console.error('MongoDB connection error:', err);
         isConnected = false;
@@ -106,16 +120,141 @@ async function connectToMongoDB() {
   return connectionPromise;
 }
 
+// Slugs used to be unique across all domains - drop those indexes so the per-domain ones apply
+async function dropLegacySlugIndexes() {
+  for (const Model of [URL, File]) {
+    const indexes = await Model.collection.indexes().catch(() => []); // Collection may not exist yet
+    if (indexes.some(index => index.name === 'slug_1' && index.unique)) {
+      await Model.collection.dropIndex('slug_1');
+      console.log(`Dropped legacy unique slug index on ${Model.collection.collectionName}`);
+    }
+  }
+}
+
+// One-off data migrations, run in order. Each is recorded in the Migration collection once it
+// completes, so later connections (every serverless cold start) only read that list.
+const MIGRATIONS = [
+  ['drop-legacy-slug-indexes', dropLegacySlugIndexes],
+  ['backfill-counted-clicks', backfillCountedClicks],
+  ['unique-visitor-sketches', migrateUniqueVisitorMaps]
+];
+
+async function runMigrations() {
+  const completed = await Migration.distinct('name');
+  for (const [name, migrate] of MIGRATIONS) {
+    if (completed.includes(name)) continue;
+    await migrate();
+    try {
+      await Migration.create({ name });
+    } catch (error) {
+      // Another instance finished it at the same moment
+      if (error.code !== 11000) throw error;
+    }
+    console.log(`Ran migration ${name}`);
+  }
+}
+
+// Links from before bot classification get their reported clicks from the client-reported bot count
+async function backfillCountedClicks() {
+  const result = await URL.updateMany(
+    { countedClicks: { $exists: false } },
+    [{ $set: { countedClicks: { $max: [0, { $subtract: ['$clicks', { $ifNull: ['$analytics.botClicks', 0] }] }] } } }]
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`Backfilled counted clicks on ${result.modifiedCount} links`);
+  }
+}
+
+// Create, change or drop the click event TTL index to match ANALYTICS_RETENTION_DAYS
+async function syncClickRetentionIndex() {
+  const collection = ClickEvent.collection;
+  const indexes = await collection.indexes().catch(() => []); // Collection may not exist yet
+  const existing = indexes.find(index => index.name === 'timestamp_1');
+  const expireAfterSeconds = ANALYTICS_RETENTION_DAYS * 24 * 60 * 60;
+
+  if (!expireAfterSeconds) {
+    if (existing?.expireAfterSeconds !== undefined) {
+      await collection.dropIndex('timestamp_1');
+      console.log('Click event retention disabled');
+    }
+    return;
+  }
+  if (existing?.expireAfterSeconds === expireAfterSeconds) return;
+  if (!existing) {
+    await collection.createIndex({ timestamp: 1 }, { expireAfterSeconds });
+  } else {
+    await mongoose.connection.db.command({
+      collMod: collection.collectionName,
+      index: { keyPattern: { timestamp: 1 }, expireAfterSeconds }
+    });
+  }
+  console.log(`Click event retention set to ${ANALYTICS_RETENTION_DAYS} days`);
+}
+
 // Initialize connection
 connectToMongoDB().catch(err => console.error('Failed to connect to MongoDB:', err));
 
+// Migration Schema - one-off migrations that have completed (see runMigrations)
+const migrationSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  completedAt: { type: Date, default: Date.now }
+});
+
+const Migration = mongoose.model('Migration', migrationSchema);
+
+// User Schema - owns links and files
+const userSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  passwordHash: { type: String, required: true },
+  name: { type: String, default: null },
+  role: { type: String, enum: ['user', 'admin'], default: 'user' },
+  // API keys for scripts - only the SHA-256 hash is stored, the key itself is shown once
+  apiKeys: [{
+    name: { type: String, required: true },
+    prefix: { type: String, required: true }, // First characters, to recognise a key in listings
+    keyHash: { type: String, required: true, index: true },
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: null }
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+const User = mongoose.model('User', userSchema);
+
+// Session Schema - login tokens (hashed), removed by MongoDB once expired
+const sessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+// HTTP status codes allowed for the server-side redirect routes
+const REDIRECT_TYPES = [301, 302, 307, 308];
+
 // Click Event Schema for detailed tracking
 const clickEventSchema = new mongoose.Schema({
   slug: { type: String, required: true, index: true },
+  domain: { type: String, default: null }, // Short domain of the link (null = default domain)
   timestamp: { type: Date, default: Date.now },
-  ip: String,
+  ip: String, // Truncated or hashed unless IP_ANONYMIZATION=off (see anonymizeIp)
   userAgent: String,
   referer: String,
+  // Client visitor ID, hashed with the rotating salt (see pseudonymizeVisitorId)
+  visitorId: { type: String, default: null },
+  // Salted hash of the full IP and user agent, for repeat click detection without a visitor ID
+  // (see getDedupKey)
+  dedupKey: { type: String, default: null },
+  // Visitor sent Do Not Track / Global Privacy Control: no IP, user agent, visitor ID or precise location
+  optedOut: { type: Boolean, default: false },
+  // Automated client (see classifyBot) and why: crawler, headless, scanner, http-client, prefetch,
+  // no-user-agent or client
+  isBot: { type: Boolean, default: false },
+  botType: { type: String, default: null },
+  // Repeat click by the same visitor within CLICK_DEDUP_WINDOW_MS
+  duplicate: { type: Boolean, default: false },
   // Parsed data
   browser: String,
   browserVersion: String,
@@ -144,18 +283,160 @@ const clickEventSchema = new mongoose.Schema({
   // Additional metadata
   isMobile: Boolean,
   isTablet: Boolean,
-  isDesktop: Boolean
+  isDesktop: Boolean,
+  // Where the click was recorded: server-side redirect route or client-side POST
+  source: { type: String, enum: ['client', 'redirect'], default: 'client' },
+  // Set when the client POST for a server-recorded click arrives (prevents double counting)
+  clientConfirmed: { type: Boolean, default: false },
+  // Targeting rule that picked the destination (null = fallback or no rules)
+  matchedRule: { type: String, default: null },
+  // A/B variant the visitor was sent to (null = no variants)
+  variant: { type: String, default: null },
+  // Deep link choice: ios-app, ios-store, android-app, android-store or web (null = no deep links)
+  deepLinkPath: { type: String, default: null },
+  // How the visitor got the short URL: followed the link or scanned its QR code
+  channel: { type: String, enum: ['link', 'qr'], default: 'link' }
 }, { timestamps: true });
 
+clickEventSchema.index({ domain: 1, slug: 1, timestamp: -1 });
+// Lookups by visitor for redirect dedup and erasure requests
+clickEventSchema.index({ ip: 1 });
+clickEventSchema.index({ visitorId: 1 }, { sparse: true });
+
 const ClickEvent = mongoose.model('ClickEvent', clickEventSchema);
 
+// Click events older than this many days are removed by a TTL index. Off (0) unless set, as
+// turning it on deletes existing click history older than the window on the next start.
+// The index is kept in sync by syncClickRetentionIndex.
+const ANALYTICS_RETENTION_DAYS = Math.max(0, parseInt(process.env.ANALYTICS_RETENTION_DAYS) || 0);
+
+// Visitor Salt Schema - a random salt per rotation period for hashing IPs and visitor IDs.
+// MongoDB deletes old salts, after which their hashes can't be linked to anyone again.
+const visitorSaltSchema = new mongoose.Schema({
+  period: { type: Number, required: true, unique: true },
+  salt: { type: String, required: true },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
+});
+
+const VisitorSalt = mongoose.model('VisitorSalt', visitorSaltSchema);
+
+// Erasure Audit Schema - one record per data-subject deletion. The identifiers themselves are not kept.
+const erasureAuditSchema = new mongoose.Schema({
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reference: { type: String, default: null }, // e.g. the ticket or request number
+  subjects: [{ type: String, enum: ['ip', 'visitorId'] }],
+  deletedEvents: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const ErasureAudit = mongoose.model('ErasureAudit', erasureAuditSchema);
+
+// Visitor Sketch Schema - HyperLogLog registers of a link's unique visitors for one UTC day
+// (see recordUniqueVisitor). day is null for visitors migrated from the old per-link map.
+const visitorSketchSchema = new mongoose.Schema({
+  url: { type: mongoose.Schema.Types.ObjectId, ref: 'URL', required: true },
+  day: { type: String, default: null }, // YYYY-MM-DD
+  registers: { type: Object, default: () => ({}) } // register index -> rank (only non-zero registers)
+});
+
+visitorSketchSchema.index({ url: 1, day: 1 }, { unique: true });
+
+const VisitorSketch = mongoose.model('VisitorSketch', visitorSketchSchema);
+
+// Stream Event Schema - recent downloads for the live streams (see publishStreamEvent). Clicks
+// are streamed from their ClickEvent. Kept for an hour so reconnecting clients can catch up with
+// Last-Event-ID.
+const streamEventSchema = new mongoose.Schema({
+  type: { type: String, enum: ['download'], required: true },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  slug: { type: String, required: true },
+  domain: { type: String, default: null },
+  data: { type: Object, default: () => ({}) },
+  createdAt: { type: Date, default: Date.now, index: { expires: 60 * 60 } }
+});
+
+streamEventSchema.index({ owner: 1, _id: 1 });
+
+const StreamEvent = mongoose.model('StreamEvent', streamEventSchema);
+
 // URL Schema
 const urlSchema = new mongoose.Schema({
   originalUrl: { type: String, required: true },
-  slug: { type: String, required: true, unique: true },
+  slug: { type: String, required: true },
+  domain: { type: String, default: null }, // Short domain hostname (null = default domain)
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
   createdAt: { type: Date, default: Date.now },
+  activatesAt: { type: Date, default: null }, // Link doesn't resolve before this time
   expiresAt: { type: Date, default: null },
-  clicks: { type: Number, default: 0 },
+  redirectType: { type: Number, enum: REDIRECT_TYPES, default: 302 },
+  revision: { type: Number, default: 0 }, // Incremented by every edit (see urlRevisionSchema)
+  title: { type: String, default: null },
+  tags: { type: [String], default: [], index: true },
+  folder: { type: String, default: null, index: true }, // Folder path like "marketing/2024"
+  maxClicks: { type: Number, default: null }, // Link stops resolving after this many human clicks
+  // Disabled links don't resolve (set when a destination gets blocklisted)
+  disabled: { type: Boolean, default: false },
+  disabledReason: { type: String, default: null },
+  disabledRule: { type: mongoose.Schema.Types.ObjectId, ref: 'DomainRule', default: null },
+  // Per-visitor destinations, evaluated in order (see parseTargetingRules)
+  targetingRules: [{
+    _id: false,
+    name: { type: String, required: true },
+    countries: [String],
+    os: [String],
+    devices: [String],
+    languages: [String],
+    destination: { type: String, required: true }
+  }],
+  // Mobile app links with store fallbacks (see parseDeepLinks)
+  deepLinks: {
+    ios: {
+      appUrl: { type: String, default: null },
+      storeUrl: { type: String, default: null }
+    },
+    android: {
+      appUrl: { type: String, default: null },
+      storeUrl: { type: String, default: null }
+    }
+  },
+  // Open Graph / Twitter card tags served to link crawlers (see parsePreview)
+  preview: {
+    title: { type: String, default: null },
+    description: { type: String, default: null },
+    image: { type: String, default: null },
+    imageFile: { type: mongoose.Schema.Types.ObjectId, ref: 'File', default: null }
+  },
+  // Forward the visitor's query string to the destination (see forwardQueryParams)
+  queryPassthrough: {
+    mode: { type: String, enum: ['off', 'tracking', 'all'], default: 'off' },
+    conflict: { type: String, enum: ['link', 'visitor'], default: 'link' }
+  },
+  // Weighted A/B destinations (see parseVariants)
+  variants: [{
+    _id: false,
+    name: { type: String, required: true },
+    destination: { type: String, required: true },
+    weight: { type: Number, default: 1 }
+  }],
+  // Destination health from the background checker (see runHealthChecks)
+  health: {
+    status: { type: String, enum: ['unknown', 'healthy', 'unhealthy'], default: 'unknown', index: true },
+    lastCheckedAt: { type: Date, default: null, index: true },
+    lastHealthyAt: { type: Date, default: null },
+    consecutiveFailures: { type: Number, default: 0 },
+    history: [{
+      _id: false,
+      checkedAt: Date,
+      ok: Boolean,
+      statusCode: Number,
+      method: String,
+      error: String,
+      finalUrl: String,
+      responseTimeMs: Number
+    }]
+  },
+  clicks: { type: Number, default: 0 }, // Every click, bots and repeats included
+  countedClicks: { type: Number, default: 0 }, // Reported clicks: no bots or repeat clicks (see classifyBot)
   analytics: {
     referrers: { type: Object, default: () => ({}) },
     browsers: { type: Object, default: () => ({}) },
@@ -182,19 +463,79 @@ const urlSchema = new mongoose.Schema({
     // Enhanced analytics
     connectionTypes: { type: Object, default: () => ({}) },
     botClicks: { type: Number, default: 0 },
+    botTypes: { type: Object, default: () => ({}) }, // crawler, headless, scanner, ... -> count
     humanClicks: { type: Number, default: 0 },
-    uniqueVisitors: { type: Object, default: () => ({}) }, // visitorId -> count
+    duplicateClicks: { type: Number, default: 0 }, // Human repeat clicks within CLICK_DEDUP_WINDOW_MS
+    matchedRules: { type: Object, default: () => ({}) }, // targeting rule name (or "fallback") -> count
+    variants: { type: Object, default: () => ({}) }, // A/B variant name -> count
+    deepLinkPaths: { type: Object, default: () => ({}) }, // ios-app, ios-store, android-app, android-store, web -> count
+    channels: { type: Object, default: () => ({}) }, // link or qr -> count
     darkModeUsers: { type: Number, default: 0 },
     lightModeUsers: { type: Number, default: 0 }
   }
 });
 
+// Slugs are unique per domain
+urlSchema.index({ domain: 1, slug: 1 }, { unique: true });
+// Dashboard listing (see listDocuments)
+urlSchema.index({ owner: 1, createdAt: -1, _id: -1 });
+
 const URL = mongoose.model('URL', urlSchema);
 
+// URL Revision Schema - one document per edit of a URL (revision 0, the state at creation, has none)
+const urlRevisionSchema = new mongoose.Schema({
+  url: { type: mongoose.Schema.Types.ObjectId, ref: 'URL', required: true },
+  slug: { type: String, required: true },
+  revision: { type: Number, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  changedAt: { type: Date, default: Date.now },
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    oldValue: { type: mongoose.Schema.Types.Mixed, default: null },
+    newValue: { type: mongoose.Schema.Types.Mixed, default: null }
+  }],
+  rollbackOf: { type: Number, default: null } // Set when this revision restored an earlier one
+});
+
+urlRevisionSchema.index({ url: 1, revision: 1 }, { unique: true });
+
+const URLRevision = mongoose.model('URLRevision', urlRevisionSchema);
+
+// Domain Schema - branded short domains besides the default one (BASE_URL).
+// Links and files store the hostname in their "domain" field; null means the default domain.
+const domainSchema = new mongoose.Schema({
+  hostname: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const Domain = mongoose.model('Domain', domainSchema);
+
+// Domain Rule Schema - admin-managed blocklist/allowlist for link destinations
+const domainRuleSchema = new mongoose.Schema({
+  list: { type: String, enum: ['block', 'allow'], required: true },
+  // domain: matches the host and its subdomains; pattern: regular expression tested against the full URL
+  type: { type: String, enum: ['domain', 'pattern'], required: true },
+  value: { type: String, required: true },
+  reason: { type: String, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+domainRuleSchema.index({ list: 1, type: 1, value: 1 }, { unique: true });
+
+const DomainRule = mongoose.model('DomainRule', domainRuleSchema);
+
 // File Schema - stores files as binary data in MongoDB
 const fileSchema = new mongoose.Schema({
-  slug: { type: String, required: true, unique: true },
+  slug: { type: String, required: true },
+  domain: { type: String, default: null }, // Short domain hostname (null = default domain)
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
   originalName: { type: String, required: true },
+  title: { type: String, default: null },
+  tags: { type: [String], default: [], index: true },
+  folder: { type: String, default: null, index: true }, // Folder path like "marketing/2024"
   mimeType: { type: String, required: true },
   size: { type: Number, required: true },
   type: { type: String, enum: ['image', 'file'], required: true },
@@ -203,7 +544,9 @@ const fileSchema = new mongoose.Schema({
   // ETag for caching
   etag: { type: String, default: null },
   createdAt: { type: Date, default: Date.now },
+  activatesAt: { type: Date, default: null }, // File isn't available before this time
   expiresAt: { type: Date, default: null },
+  redirectType: { type: Number, enum: REDIRECT_TYPES, default: 302 },
   password: { type: String, default: null },
   maxDownloads: { type: Number, default: null },
   downloads: { type: Number, default: 0 },
@@ -219,104 +562,85 @@ const fileSchema = new mongoose.Schema({
     referrers: { type: Object, default: () => ({}) },
     platforms: { type: Object, default: () => ({}) },
     languages: { type: Object, default: () => ({}) },
-    screenResolutions: { type: Object, default: () => ({}) }
+    screenResolutions: { type: Object, default: () => ({}) },
+    channels: { type: Object, default: () => ({}) } // link or qr -> count
   }
 });
 
-// Helper function to track file analytics
-async function trackFileAnalytics(slug, req, clientData = {}) {
-  try {
-    const file = await File.findOne({ slug });
-    if (!file) return;
-
-    const today = new Date().toISOString().split('T')[0];
-    
-    // Track views by date
-    const viewsByDate = file.analytics.viewsByDate || {};
-    viewsByDate[today] = (viewsByDate[today] || 0) + 1;
-    file.analytics.viewsByDate = viewsByDate;
-
-    // Track browser
-    if (clientData.browser) {
-      const browsers = file.analytics.browsers || {};
-      browsers[clientData.browser] = (browsers[clientData.browser] || 0) + 1;
-      file.analytics.browsers = browsers;
-    }
-
-    // Track OS
-    if (clientData.os) {
-      const operatingSystems = file.analytics.operatingSystems || {};
-      operatingSystems[clientData.os] = (operatingSystems[clientData.os] || 0) + 1;
-      file.analytics.operatingSystems = operatingSystems;
-    }
-
-    // Track device type
-    if (clientData.deviceType) {
-      const devices = file.analytics.devices || {};
-      devices[clientData.deviceType] = (devices[clientData.deviceType] || 0) + 1;
-      file.analytics.devices = devices;
-    }
+// Analytics map keys are user data (versions like "120.0.1", hostnames, visitor IDs). In update
+// paths "." separates fields and a leading "$" marks an operator, so those characters are
+// percent-encoded in stored keys and decoded again when analytics are read.
+function encodeAnalyticsKey(key) {
+  const text = String(key);
+  return text ? text.replace(/%/g, '%25').replace(/\./g, '%2E').replace(/\$/g, '%24') : 'Unknown';
+}
 
-    // Track country
-    if (clientData.country) {
-      const countries = file.analytics.countries || {};
-      countries[clientData.country] = (countries[clientData.country] || 0) + 1;
-      file.analytics.countries = countries;
-    }
+function decodeAnalyticsKey(key) {
+  return key.replace(/%2E/g, '.').replace(/%24/g, '$').replace(/%25/g, '%');
+}
 
-    // Track city
-    if (clientData.city) {
-      const cities = file.analytics.cities || {};
-      cities[clientData.city] = (cities[clientData.city] || 0) + 1;
-      file.analytics.cities = cities;
+// Decode the keys of every map in an analytics object (counters are returned as is). Older
+// documents saved raw dotted keys, so counts for the same decoded key are added up.
+function decodeAnalytics(analytics) {
+  const source = analytics && typeof analytics.toObject === 'function' ? analytics.toObject() : (analytics || {});
+  return Object.fromEntries(Object.entries(source).map(([field, value]) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return [field, value];
+    const map = {};
+    for (const [key, count] of Object.entries(value)) {
+      const decoded = decodeAnalyticsKey(key);
+      map[decoded] = (map[decoded] || 0) + count;
     }
+    return [field, map];
+  }));
+}
 
-    // Track referrer
-    if (clientData.referer) {
-      const referrers = file.analytics.referrers || {};
-      let refKey = clientData.referer;
-      try {
-        if (clientData.referer !== 'direct') {
-          const refUrl = new URL(clientData.referer);
-          refKey = refUrl.hostname;
-        }
-      } catch (e) {
-        refKey = clientData.referer;
-      }
-      referrers[refKey] = (referrers[refKey] || 0) + 1;
-      file.analytics.referrers = referrers;
-    }
+// Add a +1 for key in an analytics map to a $inc update (empty keys are skipped)
+function countAnalytics($inc, map, key) {
+  if (key === undefined || key === null || key === '') return;
+  const path = `analytics.${map}.${encodeAnalyticsKey(key)}`;
+  $inc[path] = ($inc[path] || 0) + 1;
+}
 
-    // Track platform (social media, messaging, etc.)
-    if (clientData.platform) {
-      const platforms = file.analytics.platforms || {};
-      platforms[clientData.platform] = (platforms[clientData.platform] || 0) + 1;
-      file.analytics.platforms = platforms;
-    }
+// Hostname of a referrer URL ("direct" when there is none or it can't be parsed)
+function getReferrerHost(referer) {
+  if (!referer || referer === 'direct') return 'direct';
+  try {
+    return new WebURL(referer).hostname || 'direct';
+  } catch {
+    return 'direct';
+  }
+}
 
-    // Track language
-    if (clientData.language) {
-      const languages = file.analytics.languages || {};
-      languages[clientData.language] = (languages[clientData.language] || 0) + 1;
-      file.analytics.languages = languages;
-    }
+// Helper function to track file analytics. A single atomic $inc, so concurrent views can't
+// overwrite each other's counts.
+async function trackFileAnalytics(fileId, req, clientData = {}) {
+  try {
+    const today = new Date().toISOString().split('T')[0];
+    const $inc = {};
 
-    // Track screen resolution
-    if (clientData.screenResolution) {
-      const screenResolutions = file.analytics.screenResolutions || {};
-      screenResolutions[clientData.screenResolution] = (screenResolutions[clientData.screenResolution] || 0) + 1;
-      file.analytics.screenResolutions = screenResolutions;
-    }
+    countAnalytics($inc, 'viewsByDate', today);
+    countAnalytics($inc, 'browsers', clientData.browser);
+    countAnalytics($inc, 'operatingSystems', clientData.os);
+    countAnalytics($inc, 'devices', clientData.deviceType);
+    countAnalytics($inc, 'countries', clientData.country);
+    countAnalytics($inc, 'cities', clientData.city);
+    if (clientData.referer) countAnalytics($inc, 'referrers', getReferrerHost(clientData.referer));
+    // Platform (social media, messaging, etc.)
+    countAnalytics($inc, 'platforms', clientData.platform);
+    countAnalytics($inc, 'languages', clientData.language);
+    countAnalytics($inc, 'screenResolutions', clientData.screenResolution);
+    // Channel (link or QR scan)
+    countAnalytics($inc, 'channels', clientData.channel);
 
-    file.markModified('analytics');
-    await file.save();
-    
-    console.log('File analytics tracked for:', slug);
+    await File.updateOne({ _id: fileId }, { $inc });
   } catch (error) {
     console.error('Error tracking file analytics:', error);
   }
 }
 
+// Slugs are unique per domain
+fileSchema.index({ domain: 1, slug: 1 }, { unique: true });
+
 const File = mongoose.model('File', fileSchema);
 
 // Multer configuration - use memory storage for DB uploads
@@ -362,6 +686,140 @@ function isImage(mimeType) {
   return mimeType.startsWith('image/');
 }
 
+// Invalid user input - route handlers answer these with a 400 and the error message
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+const DURATION_UNITS_MS = {
+  m: 60 * 1000, // minutes
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Parse a point in the future (expiration, activation): a duration from now ("90m", "12h",
+// "7d", "2w"), a bare number of hours (the old upload convention) or an ISO date.
+// Empty input means none. label names the value in error messages.
+function parseFutureTime(value, label = 'Expiration', now = new Date()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const input = String(value).trim();
+
+  const duration = /^(\d+)\s*([mhdw])?$/i.exec(input);
+  if (duration) {
+    const amount = parseInt(duration[1]);
+    if (amount <= 0) {
+      throw new ValidationError(`${label} duration must be greater than zero`);
+    }
+    const unit = duration[2] ? duration[2].toLowerCase() : 'h';
+    return new Date(now.getTime() + amount * DURATION_UNITS_MS[unit]);
+  }
+
+  // ISO dates only, so strings like "7 days" are not guessed at by the Date parser
+  if (/^\d{4}-\d{2}-\d{2}/.test(input)) {
+    const date = new Date(input);
+    if (!isNaN(date.getTime())) {
+      if (date <= now) {
+        throw new ValidationError(`${label} date must be in the future`);
+      }
+      return date;
+    }
+  }
+
+  throw new ValidationError(`${label} must be a duration like 90m, 12h, 7d or 2w, or an ISO date`);
+}
+
+// Check that an activation time comes before the expiration
+function assertScheduleOrder(activatesAt, expiresAt) {
+  if (activatesAt && expiresAt && activatesAt >= expiresAt) {
+    throw new ValidationError('Activation must be before expiration');
+  }
+}
+
+// Lifecycle state shown in listings: scheduled (before activatesAt), active or expired
+function getScheduleStatus(item, now = new Date()) {
+  if (item.activatesAt && now < new Date(item.activatesAt)) return 'scheduled';
+  if (item.expiresAt && now > new Date(item.expiresAt)) return 'expired';
+  return 'active';
+}
+
+// Parse an optional positive integer limit (maxClicks, maxDownloads). Empty input means no limit.
+function parseLimit(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new ValidationError(`${name} must be a positive whole number`);
+  }
+  return limit;
+}
+
+// Addresses a short link must never send visitors to
+const privateNetworks = new net.BlockList();
+privateNetworks.addSubnet('0.0.0.0', 8);
+privateNetworks.addSubnet('10.0.0.0', 8);
+privateNetworks.addSubnet('100.64.0.0', 10); // Carrier-grade NAT
+privateNetworks.addSubnet('127.0.0.0', 8);
+privateNetworks.addSubnet('169.254.0.0', 16); // Link-local (includes cloud metadata endpoints)
+privateNetworks.addSubnet('172.16.0.0', 12);
+privateNetworks.addSubnet('192.168.0.0', 16);
+privateNetworks.addSubnet('224.0.0.0', 4); // Multicast and reserved
+privateNetworks.addSubnet('240.0.0.0', 4);
+privateNetworks.addAddress('::', 'ipv6');
+privateNetworks.addAddress('::1', 'ipv6');
+privateNetworks.addSubnet('fc00::', 7, 'ipv6'); // Unique local
+privateNetworks.addSubnet('fe80::', 10, 'ipv6'); // Link-local
+
+const LOCAL_HOSTNAME_SUFFIXES = ['localhost', 'local', 'internal', 'home.arpa'];
+
+// Normalize a destination URL (adds protocol if missing) and reject anything that isn't a
+// public http(s) address: other schemes, malformed hosts, embedded credentials, private IPs
+function normalizeUrl(url) {
+  if (typeof url !== 'string' || !url.trim()) {
+    throw new ValidationError('URL is required');
+  }
+  const trimmed = url.trim();
+
+  // A scheme is "name:" not followed by a port number (so "example.com:8080" has none)
+  const scheme = /^([a-z][a-z0-9+.-]*):(?!\d)/i.exec(trimmed);
+  if (scheme && !['http', 'https'].includes(scheme[1].toLowerCase())) {
+    throw new ValidationError('Only http and https links are allowed');
+  }
+  const formatted = scheme ? trimmed : 'https://' + trimmed;
+
+  let parsed;
+  try {
+    parsed = new WebURL(formatted);
+  } catch (error) {
+    throw new ValidationError('URL is not valid');
+  }
+
+  if (parsed.username || parsed.password) {
+    throw new ValidationError('Links with embedded credentials are not allowed');
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const ipVersion = net.isIP(hostname);
+
+  if (ipVersion) {
+    if (privateNetworks.check(hostname, ipVersion === 6 ? 'ipv6' : 'ipv4')) {
+      throw new ValidationError('Links to private or loopback addresses are not allowed');
+    }
+  } else {
+    if (!/^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z0-9-]{2,63}$/.test(hostname)) {
+      throw new ValidationError('URL host is not valid');
+    }
+    if (LOCAL_HOSTNAME_SUFFIXES.some(suffix => hostname === suffix || hostname.endsWith('.' + suffix))) {
+      throw new ValidationError('Links to local hostnames are not allowed');
+    }
+  }
+
+  return parsed.href;
+}
+
 // Middleware to ensure MongoDB connection
 async function ensureMongoConnection(req, res, next) {
   try {
@@ -375,610 +833,4440 @@ async function ensureMongoConnection(req, res, next) {
   }
 }
 
-// Create a short URL
-app.post('/api/shorten', ensureMongoConnection, async (req, res) => {
+// ==================== AUTHENTICATION ====================
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Login sessions last 30 days
+const API_KEY_PREFIX = 'h4a_';
+const BCRYPT_ROUNDS = 10;
+
+// Registration is open and emails aren't verified, so everyone signs up as a user. Existing
+// accounts are made admins with `npm run make-admin -- <email>`.
+
+// Limits password attempts per client IP (per instance: the counts are kept in memory)
+function authRateLimit(limit, windowMs, options = {}) {
+  return rateLimit({
+    windowMs,
+    limit,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    // Same client IP as click tracking (x-forwarded-for may hold a list, the first is the client)
+    keyGenerator: (req) => String(req.headers['x-forwarded-for'] || req.socket.remoteAddress || '').split(',')[0].trim(),
+    validate: { xForwardedForHeader: false },
+    message: { message: 'Too many attempts, please try again later' },
+    ...options
+  });
+}
+
+// Failed logins only, so people sharing an IP can still log in once they get it right
+const loginRateLimit = authRateLimit(10, 15 * 60 * 1000, { skipSuccessfulRequests: true });
+const registerRateLimit = authRateLimit(5, 60 * 60 * 1000);
+
+// Tokens and API keys are only stored as SHA-256 hashes
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Public representation of a user (never includes hashes)
+function serializeUser(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    createdAt: user.createdAt
+  };
+}
+
+async function createSession(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  await Session.create({ tokenHash: hashToken(token), user: user._id, expiresAt });
+  return { token, expiresAt };
+}
+
+// Resolve the user from an API key (X-API-Key or Bearer h4a_...) or a session token (Bearer)
+async function resolveUser(req) {
+  const authHeader = req.headers.authorization || '';
+  const bearer = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+  const token = req.headers['x-api-key'] || bearer;
+
+  if (!token) return null;
+
+  const tokenHash = hashToken(token);
+
+  if (token.startsWith(API_KEY_PREFIX)) {
+    const user = await User.findOne({ 'apiKeys.keyHash': tokenHash });
+    if (user) {
+      // Record key usage (don't await to speed up response)
+      User.updateOne(
+        { _id: user._id, 'apiKeys.keyHash': tokenHash },
+        { $set: { 'apiKeys.$.lastUsedAt': new Date() } }
+      ).catch(err => console.error('Error updating API key usage:', err));
+    }
+    return user;
+  }
+
+  const session = await Session.findOne({ tokenHash, expiresAt: { $gt: new Date() } });
+  if (!session) return null;
+
+  return User.findById(session.user);
+}
+
+// Middleware to require an authenticated user (sets req.user)
+async function requireAuth(req, res, next) {
   try {
-    const { url, slug, expiresIn } = req.body;
+    const user = await resolveUser(req);
+    if (!user) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
 
-    // Validate inputs
-    if (!url) {
-      return res.status(400).json({ message: 'URL is required' });
+// Middleware that sets req.user when credentials are sent, but allows anonymous requests
+async function optionalAuth(req, res, next) {
+  try {
+    const hasCredentials = req.headers.authorization || req.headers['x-api-key'];
+    const user = hasCredentials ? await resolveUser(req) : null;
+    if (hasCredentials && !user) {
+      return res.status(401).json({ message: 'Invalid credentials' });
     }
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
 
-    // Add protocol if missing
-    let formattedUrl = url;
-    if (!url.startsWith('http://') && !url.startsWith('https://')) {
-      formattedUrl = 'https://' + url;
+// Query filter limiting a collection to the current user's resources (admins see everything)
+function ownerFilter(req) {
+  if (req.user.role === 'admin') return {};
+  return { owner: req.user._id };
+}
+
+// Middleware to require an admin (use after requireAuth)
+function requireAdmin(req, res, next) {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+  next();
+}
+
+// Register a new account
+app.post('/api/auth/register', registerRateLimit, ensureMongoConnection, async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+
+    if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ message: 'A valid email is required' });
     }
-    let urlSlug = slug;
-    
-    // If no slug is provided, generate one
-    if (!urlSlug) {
-      urlSlug = nanoid(6); // Generate a 6-character random ID
-    } else {
-      // Validate slug format
-      if (!/^[a-zA-Z0-9-_]+$/.test(urlSlug)) {
-        return res.status(400).json({ 
-          message: 'Custom path can only contain letters, numbers, hyphens and underscores' 
-        });
-      }
-      
-      // Check if slug already exists
-      const existing = await URL.findOne({ slug: urlSlug });
-      if (existing) {
-        return res.status(409).json({ message: 'This custom path is already taken' });
-      }
+    if (typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters' });
+    }
+    if (name !== undefined && name !== null && typeof name !== 'string') {
+      return res.status(400).json({ message: 'Name must be a string' });
     }
 
-    // Set expiration if provided
-    let expiresAt = null;
-    if (expiresIn) {
-      const now = new Date();
-      if (expiresIn === '1h') {
-        expiresAt = new Date(now.getTime() + 60 * 60 * 1000);
-      } else if (expiresIn === '1d') {
-        expiresAt = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-      } else if (expiresIn === '7d') {
-        expiresAt = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
-      } else if (expiresIn === '30d') {
-        expiresAt = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
-      }
+    const normalizedEmail = email.trim().toLowerCase();
+    const existing = await User.findOne({ email: normalizedEmail });
+    if (existing) {
+      return res.status(409).json({ message: 'An account with this email already exists' });
     }
 
-    // Create new URL record
-    const newUrl = new URL({
-      originalUrl: formattedUrl,
-      slug: urlSlug,
-      expiresAt
+    const user = await User.create({
+      email: normalizedEmail,
+      passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      name: name || null
     });
 
-    await newUrl.save();
+    const { token, expiresAt } = await createSession(user);
 
-    const baseUrl = process.env.BASE_URL || 'https://h4a.us';
-    const shortUrl = `${baseUrl}/${urlSlug}`;
+    return res.status(201).json({ token, expiresAt, user: serializeUser(user) });
 
-    return res.status(201).json({ 
-      shortUrl, 
-      slug: urlSlug,
-      expiresAt: expiresAt ? expiresAt.toISOString() : null
-    });
-    
   } catch (error) {
-    console.error('Error creating short URL:', error);
+    console.error('Error registering user:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Helper function to track analytics
-async function trackAnalytics(slug, req, clientData = {}) {
+// Log in with email and password
+app.post('/api/auth/login', loginRateLimit, ensureMongoConnection, async (req, res) => {
   try {
-    const url = await URL.findOne({ slug });
-    if (!url) return;
+    const { email, password } = req.body;
 
-    // Increment click count
-    url.clicks += 1;
-    
-    // Get data from headers and client
-    const userAgent = clientData.userAgent || req.headers['user-agent'] || '';
-    const referer = clientData.referer || req.headers.referer || 'direct';
-    const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress || '';
-    const acceptLanguage = clientData.language || req.headers['accept-language'] || '';
-    
-    // Use client-side detection first (more accurate), fallback to server-side UA parsing
-    let browser = clientData.browser || 'Unknown';
-    let browserVersion = clientData.browserVersion || 'Unknown';
-    let os = clientData.os || 'Unknown';
-    let osVersion = clientData.osVersion || 'Unknown';
-    let device = clientData.deviceType || 'desktop';
-    let deviceModel = 'Unknown';
-    let isMobile = clientData.isMobile ?? false;
-    let isTablet = clientData.isTablet ?? false;
-    let isDesktop = clientData.isDesktop ?? true;
-    
-    // If client didn't provide device info, parse from user agent
-    if (userAgent && browser === 'Unknown') {
-      const parser = new UAParser(userAgent);
-      const browserInfo = parser.getBrowser();
-      const osInfo = parser.getOS();
-      const deviceInfo = parser.getDevice();
-      
-      browser = browserInfo.name || 'Unknown';
-      browserVersion = browserInfo.version || 'Unknown';
-      os = osInfo.name || 'Unknown';
-      osVersion = osInfo.version || 'Unknown';
-      device = deviceInfo.type || 'desktop';
-      deviceModel = deviceInfo.model || 'Unknown';
-      
-      isMobile = device === 'mobile';
-      isTablet = device === 'tablet';
-      isDesktop = !isMobile && !isTablet;
-    }
-    
-    console.log('Tracking analytics:', { slug, browser, os, device, referer, ip: ip ? 'present' : 'none' });
-    
-    // Update browser stats
-    const browsers = url.analytics.browsers || {};
-    browsers[browser] = (browsers[browser] || 0) + 1;
-    url.analytics.browsers = browsers;
-    
-    // Update browser version stats
-    const browserVersions = url.analytics.browserVersions || {};
-    const browserKey = `${browser} ${browserVersion}`;
-    browserVersions[browserKey] = (browserVersions[browserKey] || 0) + 1;
-    url.analytics.browserVersions = browserVersions;
-    
-    // Update OS stats
-    const osStats = url.analytics.os || {};
-    osStats[os] = (osStats[os] || 0) + 1;
-    url.analytics.os = osStats;
-    
-    // Update OS version stats
-    const osVersions = url.analytics.osVersions || {};
-    const osKey = `${os} ${osVersion}`;
-    osVersions[osKey] = (osVersions[osKey] || 0) + 1;
-    url.analytics.osVersions = osVersions;
-    
-    // Update device stats
-    const devices = url.analytics.devices || {};
-    devices[device] = (devices[device] || 0) + 1;
-    url.analytics.devices = devices;
-    
-    // Update device model stats
-    if (deviceModel && deviceModel !== 'Unknown') {
-      const deviceModels = url.analytics.deviceModels || {};
-      deviceModels[deviceModel] = (deviceModels[deviceModel] || 0) + 1;
-      url.analytics.deviceModels = deviceModels;
-    }
-    
-    // Update device types
-    const deviceTypes = url.analytics.deviceTypes || { mobile: 0, tablet: 0, desktop: 0 };
-    if (isMobile) deviceTypes.mobile = (deviceTypes.mobile || 0) + 1;
-    if (isTablet) deviceTypes.tablet = (deviceTypes.tablet || 0) + 1;
-    if (isDesktop) deviceTypes.desktop = (deviceTypes.desktop || 0) + 1;
-    url.analytics.deviceTypes = deviceTypes;
-    
-    // Update referrer stats
-    const referrers = url.analytics.referrers || {};
-    let referrerHost = 'direct';
-    if (referer && referer !== 'direct') {
-      try {
-        referrerHost = new URL(referer).hostname;
-      } catch (e) {
-        console.log('Error parsing referrer URL:', e.message);
-      }
+    if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
     }
-    referrers[referrerHost] = (referrers[referrerHost] || 0) + 1;
-    url.analytics.referrers = referrers;
-    
-    // Get location data - prefer client-provided data, fallback to IP lookup
-    let country = clientData.country || null;
-    let region = clientData.regionName || clientData.region || null;
-    let city = clientData.city || null;
-    
-    // If client didn't provide location, try IP lookup
-    if (!country && ip && typeof ip === 'string') {
-      const geo = geoip.lookup(ip.split(',')[0].trim());
-      if (geo) {
-        country = geo.country || null;
-        region = geo.region || null;
-        city = geo.city || null;
-      }
-    }
-    
-    console.log('Location data:', { country, region, city, source: clientData.country ? 'client' : 'ip-lookup' });
-    
-    // Update location stats
-    if (country) {
-      const countries = url.analytics.countries || {};
-      countries[country] = (countries[country] || 0) + 1;
-      url.analytics.countries = countries;
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+      return res.status(401).json({ message: 'Invalid email or password' });
     }
-    if (region) {
-      const regions = url.analytics.regions || {};
-      regions[region] = (regions[region] || 0) + 1;
-      url.analytics.regions = regions;
+
+    const { token, expiresAt } = await createSession(user);
+
+    return res.json({ token, expiresAt, user: serializeUser(user) });
+
+  } catch (error) {
+    console.error('Error logging in:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Log out (invalidates the current session token)
+app.post('/api/auth/logout', ensureMongoConnection, requireAuth, async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Bearer ')) {
+      await Session.deleteOne({ tokenHash: hashToken(authHeader.slice(7).trim()) });
     }
-    if (city) {
-      const cities = url.analytics.cities || {};
-      cities[city] = (cities[city] || 0) + 1;
-      url.analytics.cities = cities;
+
+    return res.json({ message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('Error logging out:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the current user
+app.get('/api/auth/me', ensureMongoConnection, requireAuth, async (req, res) => {
+  return res.json({ user: serializeUser(req.user) });
+});
+
+// List API keys of the current user
+app.get('/api/keys', ensureMongoConnection, requireAuth, async (req, res) => {
+  return res.json(req.user.apiKeys.map(key => ({
+    id: key._id,
+    name: key.name,
+    prefix: key.prefix,
+    createdAt: key.createdAt,
+    lastUsedAt: key.lastUsedAt
+  })));
+});
+
+// Create an API key (the key is only returned once)
+app.post('/api/keys', ensureMongoConnection, requireAuth, async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Key name is required' });
     }
-    
-    // Update language stats
-    if (acceptLanguage) {
-      const primaryLanguage = acceptLanguage.split(',')[0].split('-')[0].trim();
-      const languages = url.analytics.languages || {};
-      languages[primaryLanguage] = (languages[primaryLanguage] || 0) + 1;
-      url.analytics.languages = languages;
+
+    const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const apiKey = {
+      name: name.trim(),
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      keyHash: hashToken(key)
+    };
+
+    req.user.apiKeys.push(apiKey);
+    await req.user.save();
+
+    const created = req.user.apiKeys[req.user.apiKeys.length - 1];
+
+    return res.status(201).json({
+      id: created._id,
+      name: created.name,
+      prefix: created.prefix,
+      createdAt: created.createdAt,
+      key
+    });
+
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke an API key
+app.delete('/api/keys/:id', ensureMongoConnection, requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'API key not found' });
     }
-    
-    // Update timezone (from client data)
-    if (clientData.timezone) {
-      const timezones = url.analytics.timezones || {};
-      timezones[clientData.timezone] = (timezones[clientData.timezone] || 0) + 1;
-      url.analytics.timezones = timezones;
+
+    const result = await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { apiKeys: { _id: req.params.id } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'API key not found' });
     }
+
+    return res.json({ message: 'API key revoked successfully' });
+
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ==================== DOMAINS ====================
+
+const DEFAULT_BASE_URL = process.env.BASE_URL || 'https://h4a.us';
+const DEFAULT_HOSTNAME = new WebURL(DEFAULT_BASE_URL).hostname.toLowerCase();
+const DOMAINS_CACHE_MS = 60 * 1000;
+let domainsCache = { hostnames: null, loadedAt: 0 };
+
+// Hostnames of the branded domains, cached briefly since every slug lookup needs them
+async function getDomainHostnames() {
+  if (domainsCache.hostnames && Date.now() - domainsCache.loadedAt < DOMAINS_CACHE_MS) {
+    return domainsCache.hostnames;
+  }
+  const domains = await Domain.find().select('hostname').lean();
+  const hostnames = domains.map(domain => domain.hostname);
+  domainsCache = { hostnames, loadedAt: Date.now() };
+  return hostnames;
+}
+
+function invalidateDomains() {
+  domainsCache = { hostnames: null, loadedAt: 0 };
+}
+
+// Origin of a short domain (null = default domain)
+function getBaseUrl(domain) {
+  return domain ? `https://${domain}` : DEFAULT_BASE_URL;
+}
+
+// Short URL for a slug on a domain (null = default domain); prefix is "i" or "f" for files
+function buildShortUrl(domain, slug, prefix = null) {
+  return `${getBaseUrl(domain)}/${prefix ? `${prefix}/` : ''}${slug}`;
+}
+
+function buildFileShortUrl(file) {
+  return buildShortUrl(file.domain, file.slug, file.type === 'image' ? 'i' : 'f');
+}
+
+// Validate the domain chosen for a new link or file. Returns the value to store
+// (null for the default domain) or throws a ValidationError.
+async function parseDomain(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const hostname = String(value).trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+  if (hostname === DEFAULT_HOSTNAME) return null;
+  const hostnames = await getDomainHostnames();
+  if (!hostnames.includes(hostname)) {
+    throw new ValidationError('Unknown domain');
+  }
+  return hostname;
+}
+
+// Slug namespace a request refers to: ?domain= on API routes, else the Host header.
+// Any host that isn't a branded domain (default domain, API host, localhost) is the default namespace.
+async function getRequestDomain(req) {
+  const hostname = String(req.query.domain || req.hostname || '').toLowerCase();
+  const hostnames = await getDomainHostnames();
+  return hostnames.includes(hostname) ? hostname : null;
+}
+
+// List the domains links and files can be created on
+app.get('/api/domains', ensureMongoConnection, requireAuth, async (req, res) => {
+  try {
+    const domains = await Domain.find().sort({ hostname: 1 }).lean();
+    return res.json([
+      { hostname: DEFAULT_HOSTNAME, isDefault: true },
+      ...domains.map(domain => ({ id: domain._id, hostname: domain.hostname, isDefault: false, createdAt: domain.createdAt }))
+    ]);
+  } catch (error) {
+    console.error('Error getting domains:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a branded domain (its DNS must point at this server)
+app.post('/api/admin/domains', ensureMongoConnection, requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const hostname = typeof req.body.hostname === 'string' ? req.body.hostname.trim().toLowerCase() : '';
+
+    if (!/^([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z0-9-]{2,63}$/.test(hostname)) {
+      return res.status(400).json({ message: 'A valid hostname is required' });
+    }
+    if (hostname === DEFAULT_HOSTNAME) {
+      return res.status(409).json({ message: 'This is already the default domain' });
+    }
+
+    const existing = await Domain.findOne({ hostname });
+    if (existing) {
+      return res.status(409).json({ message: 'This domain already exists' });
+    }
+
+    const domain = await Domain.create({ hostname, createdBy: req.user._id });
+    invalidateDomains();
+
+    return res.status(201).json({ id: domain._id, hostname: domain.hostname, isDefault: false, createdAt: domain.createdAt });
+
+  } catch (error) {
+    console.error('Error creating domain:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a branded domain (only when no links or files use it)
+app.delete('/api/admin/domains/:id', ensureMongoConnection, requireAuth, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Domain not found' });
+    }
+
+    const domain = await Domain.findById(req.params.id);
+
+    if (!domain) {
+      return res.status(404).json({ message: 'Domain not found' });
+    }
+
+    const [urlCount, fileCount] = await Promise.all([
+      URL.countDocuments({ domain: domain.hostname }),
+      File.countDocuments({ domain: domain.hostname })
+    ]);
+    if (urlCount + fileCount > 0) {
+      return res.status(409).json({ message: `This domain is still used by ${urlCount} links and ${fileCount} files` });
+    }
+
+    await Domain.deleteOne({ _id: domain._id });
+    invalidateDomains();
+
+    return res.json({ message: 'Domain deleted successfully' });
+
+  } catch (error) {
+    console.error('Error deleting domain:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ==================== DESTINATION SAFETY ====================
+
+const DOMAIN_RULES_CACHE_MS = 60 * 1000;
+let domainRulesCache = { rules: null, loadedAt: 0 };
+
+// Domain rules, cached briefly since every link creation and edit checks them
+async function getDomainRules() {
+  if (domainRulesCache.rules && Date.now() - domainRulesCache.loadedAt < DOMAIN_RULES_CACHE_MS) {
+    return domainRulesCache.rules;
+  }
+  const rules = await DomainRule.find().lean();
+  domainRulesCache = { rules, loadedAt: Date.now() };
+  return rules;
+}
+
+function invalidateDomainRules() {
+  domainRulesCache = { rules: null, loadedAt: 0 };
+}
+
+// Hosts of our own short links - links pointing there would redirect in a loop
+async function getShortDomains() {
+  return [DEFAULT_HOSTNAME, ...(await getDomainHostnames())];
+}
+
+function domainRuleMatches(rule, parsedUrl) {
+  if (rule.type === 'domain') {
+    const host = parsedUrl.hostname.toLowerCase();
+    return host === rule.value || host.endsWith('.' + rule.value);
+  }
+  try {
+    return new RegExp(rule.value, 'i').test(parsedUrl.href);
+  } catch (error) {
+    return false;
+  }
+}
+
+// The block rule that applies to a destination, or null. Allow rules override block rules.
+function findBlockingRule(rules, destination) {
+  const parsed = new WebURL(destination);
+  if (rules.some(rule => rule.list === 'allow' && domainRuleMatches(rule, parsed))) {
+    return null;
+  }
+  return rules.find(rule => rule.list === 'block' && domainRuleMatches(rule, parsed)) || null;
+}
+
+// Check normalized destinations against our own domains and the blocklist.
+// Throws a ValidationError naming the first destination that isn't allowed.
+async function assertDestinationsAllowed(destinations) {
+  const shortDomains = await getShortDomains();
+  const rules = await getDomainRules();
+
+  for (const destination of destinations) {
+    const host = new WebURL(destination).hostname.toLowerCase();
+    if (shortDomains.includes(host)) {
+      throw new ValidationError('Links to our own short domain are not allowed (they would redirect in a loop)');
+    }
+    const rule = findBlockingRule(rules, destination);
+    if (rule) {
+      throw new ValidationError(`This destination is blocked${rule.reason ? `: ${rule.reason}` : ''}`);
+    }
+  }
+}
+
+// All web destinations a URL can send visitors to (custom-scheme app URIs aren't web addresses)
+function getUrlDestinations(url) {
+  const deepLinkUrls = DEEP_LINK_PLATFORMS.flatMap(platform => [
+    url.deepLinks?.[platform]?.appUrl,
+    url.deepLinks?.[platform]?.storeUrl
+  ]);
+  return [
+    url.originalUrl,
+    ...(url.targetingRules || []).map(rule => rule.destination),
+    ...(url.variants || []).map(variant => variant.destination),
+    ...deepLinkUrls
+  ].filter(destination => destination && /^https?:\/\//i.test(destination));
+}
+
+// Escape text for use inside a regular expression
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Disable existing links that a (new) block rule now matches. Returns the number disabled.
+async function disableBlockedUrls(rule) {
+  // Narrow down candidates in the database, then check each with the full rule set
+  const destinationFilter = rule.type === 'domain'
+    ? { $regex: `^https?://([^/?#]*\\.)?${escapeRegex(rule.value)}(:\\d+)?([/?#]|$)`, $options: 'i' }
+    : { $regex: rule.value, $options: 'i' };
+
+  const rules = await getDomainRules();
+  const blockedIds = [];
+
+  const candidates = URL.find({
+    disabled: { $ne: true },
+    $or: [
+      { originalUrl: destinationFilter },
+      { 'targetingRules.destination': destinationFilter },
+      { 'variants.destination': destinationFilter },
+      ...DEEP_LINK_PLATFORMS.flatMap(platform => [
+        { [`deepLinks.${platform}.appUrl`]: destinationFilter },
+        { [`deepLinks.${platform}.storeUrl`]: destinationFilter }
+      ])
+    ]
+  }).select('originalUrl targetingRules variants deepLinks').cursor();
+
+  for await (const url of candidates) {
+    const blocked = getUrlDestinations(url).some(destination => {
+      const blockingRule = findBlockingRule(rules, destination);
+      return blockingRule && String(blockingRule._id) === String(rule._id);
+    });
+    if (blocked) blockedIds.push(url._id);
+  }
+
+  if (blockedIds.length === 0) return 0;
+
+  const result = await URL.updateMany(
+    { _id: { $in: blockedIds } },
+    { $set: { disabled: true, disabledReason: rule.reason || 'Destination is blocked', disabledRule: rule._id } }
+  );
+  return result.modifiedCount;
+}
+
+// Re-check links disabled by a removed block rule: re-enable them, or attribute them to
+// another rule that still blocks them. Returns the number re-enabled.
+async function reenableUnblockedUrls(ruleId) {
+  const rules = await getDomainRules();
+  let reenabled = 0;
+
+  const urls = URL.find({ disabledRule: ruleId }).select('originalUrl targetingRules variants deepLinks').cursor();
+
+  for await (const url of urls) {
+    const blockingRule = getUrlDestinations(url)
+      .map(destination => findBlockingRule(rules, destination))
+      .find(Boolean);
+
+    if (blockingRule) {
+      await URL.updateOne(
+        { _id: url._id },
+        { $set: { disabledReason: blockingRule.reason || 'Destination is blocked', disabledRule: blockingRule._id } }
+      );
+    } else {
+      await URL.updateOne({ _id: url._id }, { $set: { disabled: false, disabledReason: null, disabledRule: null } });
+      reenabled++;
+    }
+  }
+
+  return reenabled;
+}
+
+// List domain rules
+app.get('/api/admin/domain-rules', ensureMongoConnection, requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const rules = await DomainRule.find().sort({ createdAt: -1 }).lean();
+    return res.json(rules);
+  } catch (error) {
+    console.error('Error getting domain rules:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a domain rule. Block rules retroactively disable existing links they match.
+app.post('/api/admin/domain-rules', ensureMongoConnection, requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { list, type = 'domain', reason } = req.body;
+    let { value } = req.body;
+
+    if (!['block', 'allow'].includes(list)) {
+      return res.status(400).json({ message: 'List must be "block" or "allow"' });
+    }
+    if (!['domain', 'pattern'].includes(type)) {
+      return res.status(400).json({ message: 'Type must be "domain" or "pattern"' });
+    }
+    if (!value || typeof value !== 'string' || !value.trim()) {
+      return res.status(400).json({ message: 'Value is required' });
+    }
+
+    value = value.trim();
+    if (type === 'domain') {
+      value = value.toLowerCase().replace(/^\*\./, '');
+      if (!/^([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)*[a-z0-9-]{2,63}$/.test(value)) {
+        return res.status(400).json({ message: 'Domain is not valid' });
+      }
+    } else {
+      try {
+        new RegExp(value, 'i');
+      } catch (error) {
+        return res.status(400).json({ message: 'Pattern is not a valid regular expression' });
+      }
+    }
+
+    const existing = await DomainRule.findOne({ list, type, value });
+    if (existing) {
+      return res.status(409).json({ message: 'This rule already exists' });
+    }
+
+    const rule = await DomainRule.create({
+      list,
+      type,
+      value,
+      reason: reason || null,
+      createdBy: req.user._id
+    });
+
+    invalidateDomainRules();
+
+    const disabledUrls = list === 'block' ? await disableBlockedUrls(rule) : 0;
+
+    return res.status(201).json({ rule, disabledUrls });
+
+  } catch (error) {
+    console.error('Error creating domain rule:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a domain rule. Links it disabled are re-enabled unless another rule still blocks them.
+app.delete('/api/admin/domain-rules/:id', ensureMongoConnection, requireAuth, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Domain rule not found' });
+    }
+
+    const rule = await DomainRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Domain rule not found' });
+    }
+
+    invalidateDomainRules();
+
+    const reenabledUrls = rule.list === 'block' ? await reenableUnblockedUrls(rule._id) : 0;
+
+    return res.json({ message: 'Domain rule deleted successfully', reenabledUrls });
+
+  } catch (error) {
+    console.error('Error deleting domain rule:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ==================== TARGETING ====================
+
+const MAX_TARGETING_RULES = 20;
+const TARGETING_CONDITIONS = ['countries', 'os', 'devices', 'languages'];
+
+// Validate targeting rules from a request. Each rule sends matching visitors to its own
+// destination; a rule matches when every condition it sets matches (values within a condition
+// are alternatives). Rules are evaluated in order and originalUrl is the fallback.
+function parseTargetingRules(value) {
+  if (value === undefined || value === null || value === '') return [];
+  if (!Array.isArray(value)) {
+    throw new ValidationError('Targeting rules must be an array');
+  }
+  if (value.length > MAX_TARGETING_RULES) {
+    throw new ValidationError(`At most ${MAX_TARGETING_RULES} targeting rules are allowed`);
+  }
+
+  const names = new Set();
+
+  return value.map((rule, index) => {
+    if (!rule || typeof rule !== 'object') {
+      throw new ValidationError(`Targeting rule ${index + 1} must be an object`);
+    }
+
+    const name = rule.name ? String(rule.name).trim() : `rule-${index + 1}`;
+    // Names are used as analytics keys
+    if (!/^[\w -]{1,50}$/.test(name)) {
+      throw new ValidationError(`Targeting rule ${index + 1}: name can only contain letters, numbers, spaces, hyphens and underscores`);
+    }
+    if (names.has(name)) {
+      throw new ValidationError(`Targeting rule names must be unique ("${name}" is used twice)`);
+    }
+    names.add(name);
+
+    const conditions = {};
+    for (const condition of TARGETING_CONDITIONS) {
+      const values = rule[condition] === undefined ? [] : [].concat(rule[condition]);
+      conditions[condition] = values.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+    }
+    if (TARGETING_CONDITIONS.every(condition => conditions[condition].length === 0)) {
+      throw new ValidationError(`Targeting rule ${index + 1} needs at least one of: ${TARGETING_CONDITIONS.join(', ')}`);
+    }
+
+    // Same key order as the schema so stored and parsed rules compare equal
+    return {
+      name,
+      countries: conditions.countries,
+      os: conditions.os,
+      devices: conditions.devices,
+      languages: conditions.languages,
+      destination: normalizeUrl(rule.destination)
+    };
+  });
+}
+
+// Check a targeting rule against a parsed click (see parseClickData)
+function targetingRuleMatches(rule, click) {
+  const visitor = {
+    countries: click.country,
+    os: click.os,
+    devices: click.device,
+    languages: click.acceptLanguage ? click.acceptLanguage.split(',')[0].split('-')[0].trim() : null
+  };
+
+  return TARGETING_CONDITIONS.every(condition => {
+    const values = rule[condition] || [];
+    if (values.length === 0) return true;
+    return Boolean(visitor[condition]) && values.includes(String(visitor[condition]).toLowerCase());
+  });
+}
+
+// ==================== A/B VARIANTS ====================
+
+const MAX_VARIANTS = 10;
+
+// Validate weighted A/B destinations from a request ({ name, destination, weight }).
+// Variants replace originalUrl for visitors no targeting rule matched.
+function parseVariants(value) {
+  if (value === undefined || value === null || value === '') return [];
+  if (!Array.isArray(value)) {
+    throw new ValidationError('Variants must be an array');
+  }
+  if (value.length === 1 || value.length > MAX_VARIANTS) {
+    throw new ValidationError(`Use between 2 and ${MAX_VARIANTS} variants`);
+  }
+
+  const names = new Set();
+
+  return value.map((variant, index) => {
+    if (!variant || typeof variant !== 'object') {
+      throw new ValidationError(`Variant ${index + 1} must be an object`);
+    }
+
+    const name = variant.name ? String(variant.name).trim() : String.fromCharCode(65 + index); // A, B, C...
+    // Names are used as analytics keys
+    if (!/^[\w -]{1,50}$/.test(name)) {
+      throw new ValidationError(`Variant ${index + 1}: name can only contain letters, numbers, spaces, hyphens and underscores`);
+    }
+    if (names.has(name)) {
+      throw new ValidationError(`Variant names must be unique ("${name}" is used twice)`);
+    }
+    names.add(name);
+
+    const weight = variant.weight === undefined ? 1 : Number(variant.weight);
+    if (!Number.isInteger(weight) || weight <= 0) {
+      throw new ValidationError(`Variant ${index + 1}: weight must be a positive whole number`);
+    }
+
+    // Same key order as the schema so stored and parsed variants compare equal
+    return { name, destination: normalizeUrl(variant.destination), weight };
+  });
+}
+
+// Visitor identity for sticky variants and unique visitor counts: the client's visitorId, else IP + user agent
+function getVisitorKey(click, visitorId) {
+  if (visitorId) return String(visitorId);
+  return `${click.ip ? click.ip.split(',')[0].trim() : ''}|${click.userAgent || ''}`;
+}
+
+// Pick a variant by weight. The same visitor always gets the same variant of a link.
+function pickVariant(url, visitorKey) {
+  const variants = url.variants || [];
+  if (variants.length === 0) return null;
+
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const hash = crypto.createHash('md5').update(`${url.slug}:${visitorKey}`).digest();
+  let point = hash.readUInt32BE(0) % totalWeight;
+
+  for (const variant of variants) {
+    if (point < variant.weight) return variant;
+    point -= variant.weight;
+  }
+  return variants[variants.length - 1];
+}
+
+// ==================== DEEP LINKS ====================
+
+const DEEP_LINK_PLATFORMS = ['ios', 'android'];
+
+// Validate an app URI: a universal/app link (https) or a custom scheme (myapp://, intent://)
+function parseAppUrl(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const input = String(value).trim();
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(input);
+  if (!scheme) {
+    throw new ValidationError('App URL must start with a scheme (myapp://... or https://...)');
+  }
+  const name = scheme[1].toLowerCase();
+  if (name === 'http' || name === 'https') {
+    return normalizeUrl(input);
+  }
+  if (['javascript', 'data', 'vbscript', 'file', 'blob'].includes(name)) {
+    throw new ValidationError(`App URL scheme "${name}" is not allowed`);
+  }
+  return input;
+}
+
+// Validate deep link settings: { ios: { appUrl, storeUrl }, android: { appUrl, storeUrl } }
+function parseDeepLinks(value) {
+  if (value !== undefined && value !== null && value !== '' && typeof value !== 'object') {
+    throw new ValidationError('Deep links must be an object');
+  }
+
+  // Same key order as the schema so stored and parsed settings compare equal
+  const deepLinks = {};
+  for (const platform of DEEP_LINK_PLATFORMS) {
+    const config = value && value[platform] ? value[platform] : {};
+    deepLinks[platform] = {
+      appUrl: parseAppUrl(config.appUrl),
+      storeUrl: config.storeUrl ? normalizeUrl(config.storeUrl) : null
+    };
+  }
+  return deepLinks;
+}
+
+// Deep link platform of a visitor (null when not a supported mobile OS)
+function getDeepLinkPlatform(click) {
+  const os = String(click.os || '').toLowerCase();
+  if (os === 'ios' || os === 'ipados') return 'ios';
+  if (os === 'android') return 'android';
+  return null;
+}
+
+// Pick the app, store or web target for a mobile visitor. Returns null when the link has no
+// deep link for the visitor's platform. Custom schemes can't be checked server-side, so they
+// come with a fallbackUrl (store, else web) to open when the app isn't installed. In-app
+// browsers block custom schemes, so those visitors go to the store or the web instead.
+function resolveDeepLink(url, click, webDestination) {
+  const platform = getDeepLinkPlatform(click);
+  const config = platform && url.deepLinks ? url.deepLinks[platform] : null;
+  if (!config || (!config.appUrl && !config.storeUrl)) return null;
+
+  if (config.appUrl) {
+    const isAppLink = /^https:\/\//i.test(config.appUrl);
+    if (isAppLink) {
+      // Universal/app links open the app when installed, the web page otherwise
+      return { target: config.appUrl, path: `${platform}-app`, fallbackUrl: null };
+    }
+    if (!click.isInAppBrowser) {
+      return { target: config.appUrl, path: `${platform}-app`, fallbackUrl: config.storeUrl || webDestination };
+    }
+  }
+
+  if (config.storeUrl) {
+    return { target: config.storeUrl, path: `${platform}-store`, fallbackUrl: null };
+  }
+
+  return { target: webDestination, path: 'web', fallbackUrl: null };
+}
+
+// Whether a link has any deep link configured
+function hasDeepLinks(url) {
+  return DEEP_LINK_PLATFORMS.some(platform => url.deepLinks?.[platform]?.appUrl || url.deepLinks?.[platform]?.storeUrl);
+}
+
+// Pick the destination for a visitor: the first matching targeting rule, else a weighted
+// variant, else originalUrl. Mobile visitors are then sent to the app or store when the link
+// has deep links. matchedRule is the rule name (null when no rule matched), variant the
+// variant name (null when no variant was used), deepLinkPath the deep link choice
+// (ios-app, ios-store, android-app, android-store, web; null without deep links) and
+// fallbackUrl where to go when a custom-scheme app link doesn't open.
+function resolveDestination(url, click, visitorId = null) {
+  let result = { destination: url.originalUrl, matchedRule: null, variant: null };
+
+  const rule = (url.targetingRules || []).find(targetingRule => targetingRuleMatches(targetingRule, click));
+  if (rule) {
+    result = { destination: rule.destination, matchedRule: rule.name, variant: null };
+  } else {
+    const variant = pickVariant(url, getVisitorKey(click, visitorId));
+    if (variant) {
+      result = { destination: variant.destination, matchedRule: null, variant: variant.name };
+    }
+  }
+
+  const deepLink = resolveDeepLink(url, click, result.destination);
+  if (deepLink) {
+    return { ...result, destination: deepLink.target, deepLinkPath: deepLink.path, fallbackUrl: deepLink.fallbackUrl };
+  }
+
+  return { ...result, deepLinkPath: hasDeepLinks(url) ? 'web' : null, fallbackUrl: null };
+}
+
+// ==================== UTM & QUERY PASSTHROUGH ====================
+
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+// Click IDs from ad platforms, forwarded along with utm_* in "tracking" mode
+const CLICK_ID_PARAMS = ['gclid', 'gbraid', 'wbraid', 'dclid', 'fbclid', 'msclkid', 'ttclid', 'twclid', 'li_fat_id'];
+const QUERY_PASSTHROUGH_MODES = ['off', 'tracking', 'all'];
+// Which value wins when a parameter is both on the destination and in the visitor's query
+const QUERY_CONFLICT_RULES = ['link', 'visitor'];
+
+// Parse structured UTM fields ({ source, medium, campaign, term, content }; utm_ prefixed keys
+// work too) into query parameters. Returns null when no field is set.
+function parseUtm(utm) {
+  if (utm === undefined || utm === null || utm === '') return null;
+  if (typeof utm !== 'object' || Array.isArray(utm)) {
+    throw new ValidationError('UTM must be an object with source, medium, campaign, term or content');
+  }
+
+  const params = {};
+  for (const [key, value] of Object.entries(utm)) {
+    const field = key.replace(/^utm_/, '');
+    if (!UTM_FIELDS.includes(field)) {
+      throw new ValidationError(`Unknown UTM field: ${key}`);
+    }
+    if (value === undefined || value === null || String(value).trim() === '') continue;
+    const text = String(value).trim();
+    if (text.length > 200) {
+      throw new ValidationError(`UTM ${field} must be at most 200 characters`);
+    }
+    params[`utm_${field}`] = text;
+  }
+
+  return Object.keys(params).length > 0 ? params : null;
+}
+
+// Set query parameters on a destination, replacing values already there
+function addQueryParams(destination, params) {
+  if (!params) return destination;
+  const parsed = new WebURL(destination);
+  for (const [name, value] of Object.entries(params)) {
+    parsed.searchParams.set(name, value);
+  }
+  return parsed.href;
+}
+
+// Accepts a mode string or { mode, conflict }
+function parseQueryPassthrough(value) {
+  if (value === undefined || value === null || value === '') return { mode: 'off', conflict: 'link' };
+  const { mode = 'off', conflict = 'link' } = typeof value === 'object' ? value : { mode: value };
+  if (!QUERY_PASSTHROUGH_MODES.includes(mode)) {
+    throw new ValidationError(`Query passthrough mode must be one of ${QUERY_PASSTHROUGH_MODES.join(', ')}`);
+  }
+  if (!QUERY_CONFLICT_RULES.includes(conflict)) {
+    throw new ValidationError(`Query passthrough conflict rule must be one of ${QUERY_CONFLICT_RULES.join(', ')}`);
+  }
+  return { mode, conflict };
+}
+
+function isTrackingParam(name) {
+  return name.toLowerCase().startsWith('utm_') || CLICK_ID_PARAMS.includes(name.toLowerCase());
+}
+
+// Forward the visitor's query parameters onto a web destination. "tracking" mode forwards
+// only utm_* and click IDs, "all" everything. With the "link" conflict rule parameters
+// already on the destination are kept; with "visitor" the visitor's values replace them.
+function forwardQueryParams(destination, passthrough, visitorParams) {
+  const { mode, conflict } = passthrough || {};
+  if (!destination || !mode || mode === 'off' || !visitorParams) return destination;
+
+  let parsed;
+  try {
+    parsed = new WebURL(destination);
+  } catch {
+    return destination;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return destination;
+
+  const linkParams = new Set(parsed.searchParams.keys());
+  const replaced = new Set();
+  for (const [name, value] of visitorParams) {
+    if (mode === 'tracking' && !isTrackingParam(name)) continue;
+    if (linkParams.has(name)) {
+      if (conflict !== 'visitor') continue;
+      // Drop the link's values once, then keep every value the visitor sent
+      if (!replaced.has(name)) {
+        parsed.searchParams.delete(name);
+        replaced.add(name);
+      }
+    }
+    parsed.searchParams.append(name, value);
+  }
+  return parsed.href;
+}
+
+// Apply query passthrough to a resolved destination. App and store targets are left alone;
+// the web destination and the web fallback of app links get the visitor's parameters.
+function applyQueryPassthrough(resolved, url, visitorQuery) {
+  const passthrough = url.queryPassthrough;
+  if (!passthrough || passthrough.mode === 'off' || !visitorQuery) return resolved;
+
+  const visitorParams = new URLSearchParams(visitorQuery);
+  const isWebTarget = !resolved.deepLinkPath || resolved.deepLinkPath === 'web';
+  return {
+    ...resolved,
+    destination: isWebTarget ? forwardQueryParams(resolved.destination, passthrough, visitorParams) : resolved.destination,
+    fallbackUrl: forwardQueryParams(resolved.fallbackUrl, passthrough, visitorParams)
+  };
+}
+
+// Drop our own parameters from a visitor's query string: domain picks the short domain
+// (see getRequestDomain) and the QR scan marker is only for analytics
+function getForwardableQuery(query) {
+  const params = new URLSearchParams(query);
+  params.delete('domain');
+  if (params.get(QR_SOURCE_PARAM) === 'qr') params.delete(QR_SOURCE_PARAM);
+  return params.toString();
+}
+
+// The query string a visitor arrived with on a redirect route
+function getVisitorQuery(req) {
+  const queryIndex = req.originalUrl.indexOf('?');
+  return queryIndex === -1 ? '' : getForwardableQuery(req.originalUrl.slice(queryIndex + 1));
+}
+
+// ==================== SOCIAL PREVIEWS ====================
+
+const PREVIEW_FIELDS = ['title', 'description', 'image'];
+
+// Link unfurlers and social crawlers that read Open Graph / Twitter card tags
+const PREVIEW_CRAWLER_SIGNATURES = [
+  [/facebookexternalhit|Facebot|meta-externalagent/i, 'Facebook'],
+  [/Twitterbot/i, 'X'],
+  [/Slackbot|Slack-ImgProxy/i, 'Slack'],
+  [/WhatsApp/i, 'WhatsApp'],
+  [/LinkedInBot/i, 'LinkedIn'],
+  [/Discordbot/i, 'Discord'],
+  [/TelegramBot/i, 'Telegram'],
+  [/SkypeUriPreview|Microsoft Teams/i, 'Microsoft'],
+  [/Pinterest(bot)?\//i, 'Pinterest'],
+  [/redditbot/i, 'Reddit'],
+  [/Applebot/i, 'Apple'],
+  [/Googlebot|Google-InspectionTool/i, 'Google'],
+  [/bingbot/i, 'Bing'],
+  [/Embedly|Iframely|vkShare|Mastodon|Snap URL Preview|Viber|Line\/.*Preview|KakaoTalk-scrap/i, 'Other']
+];
+
+function detectPreviewCrawler(userAgent) {
+  const match = PREVIEW_CRAWLER_SIGNATURES.find(([pattern]) => pattern.test(userAgent || ''));
+  return match ? match[1] : null;
+}
+
+function parsePreviewText(value, name, maxLength) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (text.length > maxLength) {
+    throw new ValidationError(`Preview ${name} must be at most ${maxLength} characters`);
+  }
+  return text || null;
+}
+
+// An image uploaded here can be used by its short URL (https://h4a.us/i/<slug>), e.g. as a
+// preview image or QR logo. Returns the File, or null when the URL points somewhere else.
+async function findUploadedImage(image, user, label) {
+  let parsed;
+  try {
+    parsed = new WebURL(image);
+  } catch {
+    return null;
+  }
+
+  const hostname = parsed.hostname.toLowerCase();
+  const match = parsed.pathname.match(/^\/i\/([a-zA-Z0-9-_]+)\/?$/);
+  const isShortDomain = hostname === DEFAULT_HOSTNAME || (await getDomainHostnames()).includes(hostname);
+  if (!match || !isShortDomain) return null;
+
+  const file = await File.findOne({ slug: match[1], domain: hostname === DEFAULT_HOSTNAME ? null : hostname })
+    .select('slug domain type owner password');
+  if (!file || file.type !== 'image') {
+    throw new ValidationError(`${label} file not found`);
+  }
+  if (file.owner && (!user || (!file.owner.equals(user._id) && user.role !== 'admin'))) {
+    throw new ValidationError(`${label} must be one of your files`);
+  }
+  if (file.password) {
+    throw new ValidationError(`${label} cannot be password protected`);
+  }
+  return file;
+}
+
+// Validate Open Graph / Twitter card fields ({ title, description, image }). The image is
+// an external URL or the short URL of an uploaded image (stored as imageFile).
+async function parsePreview(value, user) {
+  if (value !== undefined && value !== null && value !== '' && (typeof value !== 'object' || Array.isArray(value))) {
+    throw new ValidationError('Preview must be an object with title, description or image');
+  }
+  const fields = value || {};
+  const unknownFields = Object.keys(fields).filter(field => !PREVIEW_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    throw new ValidationError(`Unknown preview fields: ${unknownFields.join(', ')}`);
+  }
+
+  let image = null;
+  let imageFile = null;
+  if (fields.image) {
+    const file = await findUploadedImage(String(fields.image).trim(), user, 'Preview image');
+    if (file) {
+      imageFile = file._id;
+    } else {
+      image = normalizeUrl(fields.image);
+    }
+  }
+
+  // Same key order as the schema so stored and parsed settings compare equal
+  return {
+    title: parsePreviewText(fields.title, 'title', 200),
+    description: parsePreviewText(fields.description, 'description', 500),
+    image,
+    imageFile
+  };
+}
+
+function hasPreview(url) {
+  const preview = url.preview || {};
+  return Boolean(preview.title || preview.description || preview.image || preview.imageFile);
+}
+
+// Absolute image URL for a preview; uploaded images are served from the file data route.
+// Unavailable or since password-protected files are left out.
+async function getPreviewImageUrl(preview) {
+  if (!preview.imageFile) return preview.image || null;
+  const file = await File.findById(preview.imageFile).select('slug domain password activatesAt expiresAt maxDownloads downloads');
+  if (!file || file.password || getFileAvailabilityError(file)) return null;
+  return `${getBaseUrl(file.domain)}/api/file/${file.slug}/data`;
+}
+
+// Custom path is already used by another link
+class SlugTakenError extends Error {
+  constructor() {
+    super('This custom path is already taken');
+    this.name = 'SlugTakenError';
+  }
+}
+
+// ==================== SLUG POLICY ====================
+
+const SLUG_PATTERN = /^[a-zA-Z0-9-_]+$/;
+const MAX_SLUG_LENGTH = 64;
+const MAX_SLUG_ATTEMPTS = 5;
+const SLUG_STRATEGIES = ['random', 'pronounceable', 'words'];
+
+// Paths used by the app itself plus any extra words from RESERVED_SLUGS
+const RESERVED_SLUGS = new Set([
+  'api', 'i', 'f', 'admin', 'auth', 'login', 'logout', 'register', 'signup', 'signin',
+  'account', 'dashboard', 'settings', 'health', 'status', 'static', 'assets', 'public',
+  'help', 'about', 'terms', 'privacy', 'docs', 'app', 'www', 'mail', 'robots', 'sitemap', 'favicon',
+  'overview', 'stream', // GET /api/analytics/overview and /api/analytics/stream
+  ...(process.env.RESERVED_SLUGS || '').split(',').map(word => word.trim().toLowerCase()).filter(Boolean)
+]);
+
+const PROFANE_WORDS = [
+  'anal', 'anus', 'arse', 'ass', 'bastard', 'bitch', 'bollock', 'boner', 'boob', 'butt',
+  'clit', 'cock', 'cum', 'cunt', 'dick', 'dildo', 'dyke', 'fag', 'fuck',
+  'jizz', 'kike', 'nazi', 'nigga', 'nigger', 'penis', 'piss', 'porn', 'prick',
+  'pussy', 'rape', 'retard', 'sex', 'shit', 'slut', 'spic', 'tit', 'twat', 'vagina', 'wank', 'whore'
+];
+
+// Custom slugs are checked word by word so names like "classic" or "scunthorpe" stay allowed;
+// generated slugs have no words, so any embedded match is rejected instead
+function containsProfanity(slug, { strict = false } = {}) {
+  const lower = slug.toLowerCase();
+  if (strict) return PROFANE_WORDS.some(word => lower.includes(word));
+  const words = [lower.replace(/[-_0-9]/g, ''), ...lower.split(/[-_0-9]+/)];
+  return words.some(word => PROFANE_WORDS.includes(word) || PROFANE_WORDS.includes(word.replace(/e?s$/, '')));
+}
+
+function isReservedSlug(slug) {
+  return RESERVED_SLUGS.has(slug.toLowerCase());
+}
+
+// Format, reserved word and profanity checks for a user-chosen slug
+function validateCustomSlug(slug) {
+  if (!SLUG_PATTERN.test(slug)) {
+    throw new ValidationError('Custom path can only contain letters, numbers, hyphens and underscores');
+  }
+  if (slug.length > MAX_SLUG_LENGTH) {
+    throw new ValidationError(`Custom path must be at most ${MAX_SLUG_LENGTH} characters`);
+  }
+  if (isReservedSlug(slug)) {
+    throw new ValidationError('This custom path is reserved');
+  }
+  if (containsProfanity(slug)) {
+    throw new ValidationError('This custom path is not allowed');
+  }
+}
+
+// Links and files share one slug namespace per domain
+async function findTakenSlugs(slugs, domain) {
+  const [urls, files] = await Promise.all([
+    URL.find({ slug: { $in: slugs }, domain }).select('slug').lean(),
+    File.find({ slug: { $in: slugs }, domain }).select('slug').lean()
+  ]);
+  return new Set([...urls, ...files].map(doc => doc.slug));
+}
+
+async function assertSlugAvailable(slug, domain) {
+  const taken = await findTakenSlugs([slug], domain);
+  if (taken.has(slug)) {
+    throw new SlugTakenError();
+  }
+}
+
+// Defaults come from SLUG_STRATEGY, SLUG_LENGTH and SLUG_ALPHABET; unusable alphabet characters are dropped
+const slugAlphabet = [...new Set((process.env.SLUG_ALPHABET || urlAlphabet).split(''))]
+  .filter(char => SLUG_PATTERN.test(char)).join('') || urlAlphabet;
+const SLUG_DEFAULTS = {
+  strategy: SLUG_STRATEGIES.includes(process.env.SLUG_STRATEGY) ? process.env.SLUG_STRATEGY : 'random',
+  length: parseInt(process.env.SLUG_LENGTH) || 6
+};
+const randomSlug = customAlphabet(slugAlphabet);
+
+const SLUG_CONSONANTS = 'bdfgjklmnprstvz';
+const SLUG_VOWELS = 'aeiou';
+const SLUG_ADJECTIVES = [
+  'amber', 'bold', 'brave', 'bright', 'calm', 'clever', 'cool', 'crisp', 'eager', 'fancy',
+  'gentle', 'happy', 'jolly', 'keen', 'lucky', 'merry', 'misty', 'noble', 'proud', 'quick',
+  'quiet', 'rapid', 'rusty', 'shiny', 'silent', 'snowy', 'sunny', 'swift', 'tidy', 'witty'
+];
+const SLUG_NOUNS = [
+  'badger', 'breeze', 'canyon', 'cedar', 'comet', 'coral', 'falcon', 'forest', 'garden', 'harbor',
+  'island', 'lagoon', 'maple', 'meadow', 'otter', 'panda', 'pebble', 'pine', 'planet', 'river',
+  'rocket', 'sparrow', 'summit', 'tiger', 'valley', 'willow', 'wolf', 'meteor', 'orchid', 'lantern'
+];
+
+function pickRandom(list) {
+  return list[crypto.randomInt(list.length)];
+}
+
+// Alternating consonants and vowels, e.g. "kotavi"
+function pronounceableSlug(length) {
+  let slug = '';
+  for (let i = 0; i < length; i++) {
+    slug += pickRandom(i % 2 === 0 ? SLUG_CONSONANTS : SLUG_VOWELS);
+  }
+  return slug;
+}
+
+// Readable adjective-noun-number slugs, e.g. "calm-otter-42" (length does not apply)
+function wordsSlug() {
+  return `${pickRandom(SLUG_ADJECTIVES)}-${pickRandom(SLUG_NOUNS)}-${crypto.randomInt(10, 100)}`;
+}
+
+// Validate generator options from a request, falling back to the configured defaults
+function parseSlugOptions({ slugStrategy, slugLength } = {}, defaults = SLUG_DEFAULTS) {
+  const strategy = slugStrategy || defaults.strategy;
+  if (!SLUG_STRATEGIES.includes(strategy)) {
+    throw new ValidationError(`Slug strategy must be one of ${SLUG_STRATEGIES.join(', ')}`);
+  }
+
+  let length = defaults.length;
+  if (slugLength !== undefined && slugLength !== null && slugLength !== '') {
+    length = Number(slugLength);
+    if (!Number.isInteger(length) || length < 4 || length > 32) {
+      throw new ValidationError('Slug length must be a whole number between 4 and 32');
+    }
+  }
+
+  return { strategy, length };
+}
+
+function generateSlug({ strategy, length }) {
+  if (strategy === 'words') return wordsSlug();
+  if (strategy === 'pronounceable') return pronounceableSlug(length);
+  return randomSlug(length);
+}
+
+// Generate a slug that passes policy and is free on the domain. Each retry after a
+// collision makes the slug one character longer so a crowded namespace still converges.
+async function generateAvailableSlug(domain, options) {
+  for (let attempt = 0; attempt < MAX_SLUG_ATTEMPTS; attempt++) {
+    const candidate = generateSlug({ ...options, length: options.length + attempt });
+    if (isReservedSlug(candidate) || containsProfanity(candidate, { strict: true })) continue;
+
+    const taken = await findTakenSlugs([candidate], domain);
+    if (!taken.has(candidate)) return candidate;
+  }
+  throw new Error('Could not generate an available slug');
+}
+
+function isDuplicateSlugError(error) {
+  return error && error.code === 11000 && error.keyPattern && 'slug' in error.keyPattern;
+}
+
+// Save a link or file, covering the race between the availability check and the insert.
+// Generated slugs are regenerated on a duplicate key; custom slugs raise SlugTakenError.
+async function saveWithUniqueSlug(doc, generatorOptions = null) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await doc.save();
+    } catch (error) {
+      if (!isDuplicateSlugError(error)) throw error;
+      if (!generatorOptions || attempt >= MAX_SLUG_ATTEMPTS) throw new SlugTakenError();
+      doc.slug = await generateAvailableSlug(doc.domain, generatorOptions);
+    }
+  }
+}
+
+// Turn free text like "Summer Sale 2024!" into slug form
+function slugifyBase(base) {
+  return String(base)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9-_]+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^[-_]+|[-_]+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH - 4);
+}
+
+// Propose available vanity slugs based on some text
+app.get('/api/slug/suggest', ensureMongoConnection, async (req, res) => {
+  try {
+    const base = slugifyBase(req.query.base || '');
+    if (!base) {
+      return res.status(400).json({ message: 'A base with at least one letter or number is required' });
+    }
+
+    const count = Math.min(Math.max(parseInt(req.query.count) || 5, 1), 20);
+    let domain;
+    try {
+      domain = await parseDomain(req.query.domain);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      return res.status(400).json({ message: error.message });
+    }
+
+    const year = new Date().getFullYear();
+    const candidates = [...new Set([
+      base,
+      `${base}-${year}`,
+      ...Array.from({ length: 3 }, () => `${base}-${pickRandom(SLUG_NOUNS)}`),
+      `${pickRandom(SLUG_ADJECTIVES)}-${base}`,
+      `get-${base}`,
+      `${base}-link`,
+      ...Array.from({ length: count * 2 }, () => `${base}-${crypto.randomInt(10, 1000)}`)
+    ])].filter(slug => slug.length <= MAX_SLUG_LENGTH && !isReservedSlug(slug) && !containsProfanity(slug));
+
+    const taken = await findTakenSlugs(candidates, domain);
+    const suggestions = candidates.filter(slug => !taken.has(slug)).slice(0, count);
+
+    return res.json({
+      base,
+      domain: domain || DEFAULT_HOSTNAME,
+      available: candidates.includes(base) && !taken.has(base),
+      suggestions
+    });
+  } catch (error) {
+    console.error('Error suggesting slugs:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Normalize tags given as an array or a comma/semicolon separated string
+function parseTags(tags) {
+  if (tags === undefined || tags === null || tags === '') return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(/[,;]/);
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+// Normalize a folder path like " marketing / 2024 " to "marketing/2024" (empty = no folder)
+function parseFolder(value) {
+  if (value === undefined || value === null) return null;
+  const folder = String(value).split('/').map(part => part.trim()).filter(Boolean).join('/');
+  if (folder.length > 100) {
+    throw new ValidationError('Folder must be at most 100 characters');
+  }
+  return folder || null;
+}
+
+// Optional display title (empty = no title)
+function parseTitle(value) {
+  if (value === undefined || value === null) return null;
+  const title = String(value).trim();
+  if (title.length > 200) {
+    throw new ValidationError('Title must be at most 200 characters');
+  }
+  return title || null;
+}
+
+// Create a short URL record (shared by single and bulk creation).
+// Throws ValidationError for bad input and SlugTakenError when a custom path is taken.
+async function createShortUrl({ url, slug, slugStrategy, slugLength, domain, expiresIn, activatesAt, redirectType, title, tags, folder, maxClicks, targetingRules, variants, deepLinks, utm, queryPassthrough, preview }, user) {
+  // Validate inputs
+  if (!url) {
+    throw new ValidationError('URL is required');
+  }
+
+  if (redirectType !== undefined && redirectType !== '' && !REDIRECT_TYPES.includes(parseInt(redirectType))) {
+    throw new ValidationError(`Redirect type must be one of ${REDIRECT_TYPES.join(', ')}`);
+  }
+
+  // Add protocol if missing, then any UTM parameters from the builder
+  const utmParams = parseUtm(utm);
+  const formattedUrl = addQueryParams(normalizeUrl(url), utmParams);
+  const urlDomain = await parseDomain(domain);
+  const customSlug = slug ? String(slug).trim() : '';
+  const slugOptions = parseSlugOptions({ slugStrategy, slugLength });
+
+  if (customSlug) {
+    validateCustomSlug(customSlug);
+    await assertSlugAvailable(customSlug, urlDomain);
+  }
+
+  // Set expiration and click limit if provided
+  const expiresAt = parseFutureTime(expiresIn, 'Expiration');
+  const activationTime = parseFutureTime(activatesAt, 'Activation');
+  assertScheduleOrder(activationTime, expiresAt);
+  const clickLimit = parseLimit(maxClicks, 'Maximum clicks');
+
+  // UTM parameters go on every web destination of the link
+  const rules = parseTargetingRules(targetingRules)
+    .map(rule => ({ ...rule, destination: addQueryParams(rule.destination, utmParams) }));
+  const weightedVariants = parseVariants(variants)
+    .map(variant => ({ ...variant, destination: addQueryParams(variant.destination, utmParams) }));
+  const appLinks = parseDeepLinks(deepLinks);
+  const passthrough = parseQueryPassthrough(queryPassthrough);
+  const socialPreview = await parsePreview(preview, user);
+  await assertDestinationsAllowed(getUrlDestinations({
+    originalUrl: formattedUrl,
+    targetingRules: rules,
+    variants: weightedVariants,
+    deepLinks: appLinks
+  }));
+
+  // Create new URL record
+  const newUrl = new URL({
+    originalUrl: formattedUrl,
+    slug: customSlug || await generateAvailableSlug(urlDomain, slugOptions),
+    domain: urlDomain,
+    owner: user ? user._id : null,
+    activatesAt: activationTime,
+    expiresAt,
+    redirectType: redirectType !== undefined && redirectType !== '' ? parseInt(redirectType) : 302,
+    title: parseTitle(title),
+    tags: parseTags(tags),
+    folder: parseFolder(folder),
+    maxClicks: clickLimit,
+    targetingRules: rules,
+    variants: weightedVariants,
+    deepLinks: appLinks,
+    queryPassthrough: passthrough,
+    preview: socialPreview
+  });
+
+  await saveWithUniqueSlug(newUrl, customSlug ? null : slugOptions);
+
+  return newUrl;
+}
+
+// Create a short URL
+app.post('/api/shorten', ensureMongoConnection, optionalAuth, async (req, res) => {
+  try {
+    const newUrl = await createShortUrl(req.body, req.user);
+
+    const shortUrl = buildShortUrl(newUrl.domain, newUrl.slug);
+
+    return res.status(201).json({ 
+      shortUrl, 
+      slug: newUrl.slug,
+      domain: newUrl.domain || DEFAULT_HOSTNAME,
+      activatesAt: newUrl.activatesAt ? newUrl.activatesAt.toISOString() : null,
+      expiresAt: newUrl.expiresAt ? newUrl.expiresAt.toISOString() : null,
+      redirectType: newUrl.redirectType,
+      title: newUrl.title,
+      tags: newUrl.tags,
+      folder: newUrl.folder,
+      maxClicks: newUrl.maxClicks,
+      targetingRules: newUrl.targetingRules,
+      variants: newUrl.variants,
+      deepLinks: newUrl.deepLinks,
+      queryPassthrough: newUrl.queryPassthrough,
+      preview: newUrl.preview
+    });
+    
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error instanceof SlugTakenError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('Error creating short URL:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ==================== BULK CREATION ====================
+
+const MAX_BULK_ROWS = 1000;
+const BULK_CSV_COLUMNS = ['url', 'slug', 'expiry', 'tags'];
+
+// Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF or LF line endings)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// Escape a value for a CSV cell
+function csvEscape(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Build CSV text from a header and row objects
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvEscape(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Turn parsed CSV rows into link inputs. A header row is optional; without one the
+// columns are url, slug, expiry, tags.
+function csvRowsToLinks(rows) {
+  if (rows.length === 0) return [];
+
+  const firstRow = rows[0].map(cell => cell.trim().toLowerCase());
+  const hasHeader = firstRow.includes('url');
+  const columns = hasHeader ? firstRow : BULK_CSV_COLUMNS;
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+
+  return dataRows.map(cells => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = cells[index] !== undefined ? cells[index].trim() : '';
+    });
+    return {
+      url: record.url,
+      slug: record.slug || undefined,
+      domain: record.domain || undefined,
+      expiresIn: record.expiry || record.expiresin || undefined,
+      activatesAt: record.activatesat || undefined,
+      maxClicks: record.maxclicks || undefined,
+      redirectType: record.redirecttype || undefined,
+      title: record.title || undefined,
+      tags: record.tags,
+      folder: record.folder || undefined,
+      utm: Object.fromEntries(UTM_FIELDS.map(field => [field, record[`utm_${field}`]]).filter(([, value]) => value))
+    };
+  });
+}
+
+// CSV uploads for bulk creation
+const csvUpload = multer({
+  storage: memoryStorage,
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['text/csv', 'text/plain', 'application/vnd.ms-excel'];
+    if (allowedTypes.includes(file.mimetype) || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB max
+  }
+});
+
+// Create many short URLs at once from a JSON array (body or { links: [...] }) or an uploaded
+// CSV file (field "file"). Rows are created independently: failed rows don't stop the others.
+// Add ?format=csv to download the results as CSV.
+app.post('/api/shorten/bulk', ensureMongoConnection, requireAuth, csvUpload.single('file'), async (req, res) => {
+  try {
+    let links;
+    if (req.file) {
+      links = csvRowsToLinks(parseCsv(req.file.buffer.toString('utf8').replace(/^\uFEFF/, '')));
+    } else if (Array.isArray(req.body)) {
+      links = req.body;
+    } else if (Array.isArray(req.body.links)) {
+      links = req.body.links;
+    } else {
+      return res.status(400).json({ message: 'Send a JSON array of links or upload a CSV file' });
+    }
+
+    if (links.length === 0) {
+      return res.status(400).json({ message: 'No links to create' });
+    }
+    if (links.length > MAX_BULK_ROWS) {
+      return res.status(400).json({ message: `At most ${MAX_BULK_ROWS} links can be created at once` });
+    }
+
+    const results = [];
+
+    // Sequential so collisions within the batch are detected like any other collision
+    for (const [index, link] of links.entries()) {
+      const result = { row: index + 1, url: link && link.url ? link.url : null };
+      try {
+        if (!link || typeof link !== 'object') {
+          throw new ValidationError('Row must be an object');
+        }
+        const newUrl = await createShortUrl(link, req.user);
+        Object.assign(result, {
+          status: 'created',
+          slug: newUrl.slug,
+          shortUrl: buildShortUrl(newUrl.domain, newUrl.slug),
+          activatesAt: newUrl.activatesAt,
+          expiresAt: newUrl.expiresAt,
+          tags: newUrl.tags,
+          folder: newUrl.folder
+        });
+      } catch (error) {
+        if (!(error instanceof ValidationError) && !(error instanceof SlugTakenError)) {
+          console.error('Error creating short URL in bulk:', error);
+        }
+        Object.assign(result, {
+          status: 'error',
+          error: error instanceof ValidationError || error instanceof SlugTakenError ? error.message : 'Server error'
+        });
+      }
+      results.push(result);
+    }
+
+    const created = results.filter(result => result.status === 'created').length;
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="short-urls.csv"');
+      return res.send(toCsv(
+        ['row', 'url', 'slug', 'shortUrl', 'activatesAt', 'expiresAt', 'status', 'error'],
+        results
+      ));
+    }
+
+    return res.json({
+      total: results.length,
+      created,
+      failed: results.length - created,
+      results
+    });
+
+  } catch (error) {
+    console.error('Error creating short URLs in bulk:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// User agent signatures of apps that open links in their own browser
+const IN_APP_BROWSER_SIGNATURES = [
+  [/FBAN|FBAV|FB_IAB/, 'Facebook'],
+  [/Instagram/, 'Instagram'],
+  [/musical_ly|TikTok|BytedanceWebview/, 'TikTok'],
+  [/Snapchat/, 'Snapchat'],
+  [/LinkedInApp/, 'LinkedIn'],
+  [/Twitter/, 'Twitter'],
+  [/Pinterest/, 'Pinterest'],
+  [/MicroMessenger/, 'WeChat'],
+  [/\bLine\//, 'Line']
+];
+
+function detectInAppBrowser(userAgent) {
+  const match = IN_APP_BROWSER_SIGNATURES.find(([pattern]) => pattern.test(userAgent || ''));
+  return { isInAppBrowser: Boolean(match), appName: match ? match[1] : null };
+}
+
+// Parse a click from request headers and client-provided data.
+// Client-side detection is preferred (more accurate), server-side UA parsing and IP lookup are the fallback.
+function parseClickData(req, clientData = {}) {
+  // Get data from headers and client
+  const userAgent = clientData.userAgent || req.headers['user-agent'] || '';
+  const referer = clientData.referer || req.headers.referer || 'direct';
+  const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress || '';
+  const acceptLanguage = clientData.language || req.headers['accept-language'] || '';
+  
+  // Use client-side detection first (more accurate), fallback to server-side UA parsing
+  let browser = clientData.browser || 'Unknown';
+  let browserVersion = clientData.browserVersion || 'Unknown';
+  let os = clientData.os || 'Unknown';
+  let osVersion = clientData.osVersion || 'Unknown';
+  let device = clientData.deviceType || 'desktop';
+  let deviceModel = 'Unknown';
+  let isMobile = clientData.isMobile ?? false;
+  let isTablet = clientData.isTablet ?? false;
+  let isDesktop = clientData.isDesktop ?? true;
+  
+  // If client didn't provide device info, parse from user agent
+  if (userAgent && browser === 'Unknown') {
+    const parser = new UAParser(userAgent);
+    const browserInfo = parser.getBrowser();
+    const osInfo = parser.getOS();
+    const deviceInfo = parser.getDevice();
+    
+    browser = browserInfo.name || 'Unknown';
+    browserVersion = browserInfo.version || 'Unknown';
+    os = osInfo.name || 'Unknown';
+    osVersion = osInfo.version || 'Unknown';
+    device = deviceInfo.type || 'desktop';
+    deviceModel = deviceInfo.model || 'Unknown';
+    
+    isMobile = device === 'mobile';
+    isTablet = device === 'tablet';
+    isDesktop = !isMobile && !isTablet;
+  }
+  
+  // Get location data - prefer client-provided data, fallback to IP lookup
+  let country = clientData.country || null;
+  let region = clientData.regionName || clientData.region || null;
+  let city = clientData.city || null;
+  
+  // If client didn't provide location, try IP lookup
+  if (!country && ip && typeof ip === 'string') {
+    const geo = geoip.lookup(ip.split(',')[0].trim());
+    if (geo) {
+      country = geo.country || null;
+      region = geo.region || null;
+      city = geo.city || null;
+    }
+  }
+  
+  // In-app browser (client data, else user agent signature)
+  const inAppBrowser = clientData.isInAppBrowser !== undefined
+    ? { isInAppBrowser: Boolean(clientData.isInAppBrowser), appName: clientData.appName || null }
+    : detectInAppBrowser(userAgent);
+  
+  // UTM parameters (from client data or query params)
+  const utmSource = clientData.utmSource || req.query.utm_source;
+  const utmMedium = clientData.utmMedium || req.query.utm_medium;
+  const utmCampaign = clientData.utmCampaign || req.query.utm_campaign;
+  const utmTerm = clientData.utmTerm || req.query.utm_term;
+  const utmContent = clientData.utmContent || req.query.utm_content;
+  
+  return {
+    userAgent, referer, ip, acceptLanguage,
+    browser, browserVersion, os, osVersion, device, deviceModel,
+    isMobile, isTablet, isDesktop,
+    country, region, city,
+    isInAppBrowser: inAppBrowser.isInAppBrowser, appName: inAppBrowser.appName,
+    utmSource, utmMedium, utmCampaign, utmTerm, utmContent
+  };
+}
+
+// Helper function to track analytics for a URL (needs _id, slug, domain, owner and targetingRules).
+// eventData is stored on the ClickEvent as-is (e.g. { source: 'redirect' }).
+async function trackAnalytics(url, req, clientData = {}, eventData = {}) {
+  try {
+    const { slug } = url;
+    
+    const {
+      userAgent, referer, ip, acceptLanguage,
+      browser, browserVersion, os, osVersion, device, deviceModel,
+      isMobile, isTablet, isDesktop,
+      country, region, city,
+      utmSource, utmMedium, utmCampaign, utmTerm, utmContent
+    } = parseClickData(req, clientData);
+    const optedOut = isTrackingOptOut(req, clientData);
+    const visitorId = optedOut ? null : await pseudonymizeVisitorId(clientData.visitorId);
+    
+    console.log('Tracking analytics:', { slug, browser, os, device, referer, ip: ip ? 'present' : 'none' });
+    
+    // Bots and repeat clicks are recorded, but left out of the reported counts and breakdowns
+    const now = new Date();
+    const storedIp = optedOut ? null : await anonymizeIp(ip);
+    const storedUserAgent = optedOut ? null : userAgent;
+    const botType = classifyBot(req, userAgent, clientData);
+    const dedupKey = optedOut || visitorId ? null : await getDedupKey(ip, userAgent);
+    const duplicate = !botType && await isDuplicateClick(url, { visitorId, dedupKey }, now);
+    
+    // Every counter goes into one $inc so concurrent clicks can't overwrite each other
+    const $inc = { clicks: 1 };
+    if (botType) {
+      $inc['analytics.botClicks'] = 1;
+      countAnalytics($inc, 'botTypes', botType);
+    } else {
+      $inc['analytics.humanClicks'] = 1;
+      $inc[duplicate ? 'analytics.duplicateClicks' : 'countedClicks'] = 1;
+    }
+    const breakdown = botType || duplicate ? {} : $inc;
+    
+    // Browser, OS and device stats
+    countAnalytics(breakdown, 'browsers', browser);
+    countAnalytics(breakdown, 'browserVersions', `${browser} ${browserVersion}`);
+    countAnalytics(breakdown, 'os', os);
+    countAnalytics(breakdown, 'osVersions', `${os} ${osVersion}`);
+    countAnalytics(breakdown, 'devices', device);
+    if (deviceModel !== 'Unknown') countAnalytics(breakdown, 'deviceModels', deviceModel);
+    if (isMobile) countAnalytics(breakdown, 'deviceTypes', 'mobile');
+    if (isTablet) countAnalytics(breakdown, 'deviceTypes', 'tablet');
+    if (isDesktop) countAnalytics(breakdown, 'deviceTypes', 'desktop');
+    
+    countAnalytics(breakdown, 'referrers', getReferrerHost(referer));
+    
+    console.log('Location data:', { country, region, city, source: clientData.country ? 'client' : 'ip-lookup' });
+    
+    // Location stats
+    countAnalytics(breakdown, 'countries', country);
+    countAnalytics(breakdown, 'regions', region);
+    countAnalytics(breakdown, 'cities', city);
+    
+    if (acceptLanguage) {
+      countAnalytics(breakdown, 'languages', acceptLanguage.split(',')[0].split('-')[0].trim());
+    }
+    
+    // Timezone, screen resolution and platform/source (from client data)
+    countAnalytics(breakdown, 'timezones', clientData.timezone);
+    if (clientData.screenWidth && clientData.screenHeight) {
+      countAnalytics(breakdown, 'screenResolutions', `${clientData.screenWidth}x${clientData.screenHeight}`);
+    }
+    countAnalytics(breakdown, 'platforms', clientData.platform);
+    if (clientData.isInAppBrowser) countAnalytics(breakdown, 'inAppBrowsers', clientData.appName);
+    
+    // Enhanced analytics: connection type, color scheme
+    countAnalytics(breakdown, 'connectionTypes', clientData.connectionType);
+    if (clientData.prefersDarkMode !== undefined) {
+      breakdown[clientData.prefersDarkMode ? 'analytics.darkModeUsers' : 'analytics.lightModeUsers'] = 1;
+    }
+    
+    // Targeting: which rule picked the destination
+    if (url.targetingRules && url.targetingRules.length > 0) {
+      countAnalytics(breakdown, 'matchedRules', eventData.matchedRule || 'fallback');
+    }
+    
+    // Deep links (app, store or web), channel (followed link or QR scan) and A/B variant
+    countAnalytics(breakdown, 'deepLinkPaths', eventData.deepLinkPath);
+    countAnalytics(breakdown, 'channels', eventData.channel || 'link');
+    countAnalytics(breakdown, 'variants', eventData.variant);
+    
+    // UTM parameters
+    countAnalytics(breakdown, 'utmSources', utmSource);
+    countAnalytics(breakdown, 'utmMediums', utmMedium);
+    countAnalytics(breakdown, 'utmCampaigns', utmCampaign);
+    
+    // Time-based analytics
+    const today = now.toISOString().split('T')[0];
+    const hour = now.getHours();
+    const dayOfWeek = now.getDay(); // 0 = Sunday, 6 = Saturday
+    
+    countAnalytics(breakdown, 'clicksByDate', today);
+    countAnalytics(breakdown, 'clicksByHour', hour);
+    countAnalytics(breakdown, 'clicksByDayOfWeek', dayOfWeek);
+    
+    const result = await URL.updateOne({ _id: url._id }, { $inc });
+    if (result.matchedCount === 0) return null;
+    
+    // Unique visitors (opted-out visitors aren't identified, repeat clicks can't add any)
+    if (!botType && !duplicate && !optedOut) {
+      await recordUniqueVisitor(url._id, getVisitorKey({ ip, userAgent }, clientData.visitorId), today);
+    }
+    
+    // Create detailed click event record
+    const clickEvent = new ClickEvent({
+      slug,
+      domain: url.domain || null,
+      timestamp: now,
+      // Opted-out visitors keep only coarse data: no identifiers, referrer host, country
+      ip: storedIp,
+      userAgent: storedUserAgent,
+      referer: optedOut ? getReferrerHost(referer) : referer,
+      visitorId,
+      dedupKey,
+      optedOut,
+      browser,
+      browserVersion,
+      os,
+      osVersion,
+      device,
+      deviceModel,
+      country: country || null,
+      region: optedOut ? null : region || null,
+      city: optedOut ? null : city || null,
+      screenWidth: optedOut ? null : clientData.screenWidth || null,
+      screenHeight: optedOut ? null : clientData.screenHeight || null,
+      language: acceptLanguage ? acceptLanguage.split(',')[0].split('-')[0].trim() : null,
+      timezone: clientData.timezone || null,
+      utmSource: utmSource || null,
+      utmMedium: utmMedium || null,
+      utmCampaign: utmCampaign || null,
+      utmTerm: utmTerm || null,
+      utmContent: utmContent || null,
+      hourOfDay: hour,
+      dayOfWeek: dayOfWeek,
+      isMobile,
+      isTablet,
+      isDesktop,
+      isBot: Boolean(botType),
+      botType,
+      duplicate,
+      ...eventData
+    });
+    
+    await clickEvent.save();
+    
+    return clickEvent;
+    
+  } catch (error) {
+    console.error('Error tracking analytics:', error);
+    return null;
+  }
+}
+
+// Reported clicks, which also count towards maxClicks (no bots or repeat clicks)
+function countedClickCount(url) {
+  return url.countedClicks ?? Math.max(0, (url.clicks || 0) - (url.analytics?.botClicks || 0));
+}
+
+// Why a URL can't be resolved right now ({ status, message, ... }), or null if it can
+function getUrlAvailabilityError(url) {
+  // Check if URL was disabled (e.g. its destination got blocklisted)
+  if (url.disabled) {
+    return { status: 410, message: 'This link has been disabled' };
+  }
+
+  // Check if URL is scheduled for later
+  if (url.activatesAt && new Date() < url.activatesAt) {
+    return { status: 403, message: 'This link is not active yet', notYetActive: true, activatesAt: url.activatesAt };
+  }
+
+  // Check if URL has expired
+  if (url.expiresAt && new Date() > url.expiresAt) {
+    return { status: 410, message: 'This link has expired' };
+  }
+
+  // Check if URL has used up its clicks
+  if (url.maxClicks && countedClickCount(url) >= url.maxClicks) {
+    return { status: 410, message: 'This link has reached its click limit' };
+  }
+
+  return null;
+}
+
+// Why a file can't be served right now ({ status, message, ... }), or null if it can
+function getFileAvailabilityError(file) {
+  // Check if file is scheduled for later
+  if (file.activatesAt && new Date() < file.activatesAt) {
+    return { status: 403, message: 'This file is not available yet', notYetActive: true, activatesAt: file.activatesAt };
+  }
+
+  // Check if file has expired
+  if (file.expiresAt && new Date() > file.expiresAt) {
+    return { status: 410, message: 'This file has expired' };
+  }
+
+  // Check if file has used up its downloads
+  if (file.maxDownloads && file.downloads >= file.maxDownloads) {
+    return { status: 410, message: 'This file has reached its download limit' };
+  }
+
+  return null;
+}
+
+// Get URL by slug (no tracking here - tracking is done via POST /api/analytics/:slug)
+app.get('/api/url/:slug', ensureMongoConnection, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const domain = await getRequestDomain(req);
+    
+    const url = await URL.findOne({ slug, domain });
+    
+    if (!url) {
+      return res.status(404).json({ message: 'URL not found' });
+    }
+
+    // Check if URL has expired or reached its click limit
+    const unavailable = getUrlAvailabilityError(url);
+    if (unavailable) {
+      const { status, ...body } = unavailable;
+      return res.status(status).json(body);
+    }
+    
+    // Don't track analytics here - it's done via POST /api/analytics/:slug
+    // This prevents double counting (server fetch + client POST)
+    
+    // Evaluate targeting rules for this visitor. The client passes the visitor's own query
+    // string as ?query= for links that forward it.
+    const { destination, matchedRule, variant, deepLinkPath, fallbackUrl } = applyQueryPassthrough(
+      resolveDestination(url, parseClickData(req), req.query.visitorId),
+      url,
+      typeof req.query.query === 'string' ? getForwardableQuery(req.query.query) : ''
+    );
+    
+    return res.json({ originalUrl: destination, matchedRule, variant, deepLinkPath, fallbackUrl });
+    
+  } catch (error) {
+    console.error('Error redirecting:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// A client POST within this window of a server-side redirect click is treated as the same visit
+const REDIRECT_DEDUP_WINDOW_MS = 60 * 1000;
+// The redirect sets this cookie to its click's ID, so the client POST can confirm that click
+// without identifying the visitor (opted-out clicks are stored without IP or user agent)
+const REDIRECT_CLICK_COOKIE = 'h4a_click';
+
+function setRedirectClickCookie(res, clickId) {
+  res.append('Set-Cookie', `${REDIRECT_CLICK_COOKIE}=${clickId}; Max-Age=${REDIRECT_DEDUP_WINDOW_MS / 1000}; Path=/api/analytics; HttpOnly; SameSite=Lax`);
+}
+
+function getRedirectClickId(req) {
+  const cookie = (req.headers.cookie || '').split(';')
+    .map(part => part.trim().split('='))
+    .find(([name]) => name === REDIRECT_CLICK_COOKIE);
+  return cookie && mongoose.isValidObjectId(cookie[1]) ? cookie[1] : null;
+}
+
+// Track comprehensive analytics from client-side
+app.post('/api/analytics/:slug', ensureMongoConnection, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const domain = await getRequestDomain(req);
+    const clientData = req.body;
+    
+    const url = await URL.findOne({ slug, domain });
+    
+    if (!url) {
+      return res.status(404).json({ message: 'URL not found' });
+    }
+
+    // Check if URL has expired or reached its click limit
+    const unavailable = getUrlAvailabilityError(url);
+    if (unavailable) {
+      const { status, ...body } = unavailable;
+      return res.status(status).json(body);
+    }
+    
+    // If this visit already came through the redirect route, attach the client data
+    // to that click instead of counting it again. The click is found by the redirect's
+    // cookie, or else by IP and user agent (opted-out visits are only found by the cookie).
+    const click = parseClickData(req, clientData);
+    const { ip, userAgent } = click;
+    const optedOut = isTrackingOptOut(req, clientData);
+    const redirectClickId = getRedirectClickId(req);
+    const visitor = redirectClickId
+      ? { _id: redirectClickId }
+      : !optedOut && { ip: await anonymizeIp(ip), userAgent };
+    const redirectClick = visitor && await ClickEvent.findOneAndUpdate(
+      {
+        slug,
+        domain,
+        source: 'redirect',
+        clientConfirmed: false,
+        ...visitor,
+        timestamp: { $gte: new Date(Date.now() - REDIRECT_DEDUP_WINDOW_MS) }
+      },
+      {
+        $set: optedOut ? { clientConfirmed: true } : {
+          clientConfirmed: true,
+          visitorId: await pseudonymizeVisitorId(clientData.visitorId),
+          screenWidth: clientData.screenWidth || null,
+          screenHeight: clientData.screenHeight || null,
+          timezone: clientData.timezone || null
+        }
+      },
+      { sort: { timestamp: -1 } }
+    );
+    if (redirectClickId) {
+      res.append('Set-Cookie', `${REDIRECT_CLICK_COOKIE}=; Max-Age=0; Path=/api/analytics; HttpOnly; SameSite=Lax`);
+    }
+    
+    if (redirectClick) {
+      return res.json({ success: true, message: 'Analytics already tracked' });
+    }
+    
+    // Track comprehensive analytics with client data
+    const { matchedRule, variant, deepLinkPath } = resolveDestination(url, click, clientData.visitorId);
+    await trackAnalytics(url, req, clientData, {
+      matchedRule,
+      variant,
+      deepLinkPath,
+      channel: getVisitChannel(clientData[QR_SOURCE_PARAM])
+    });
+    
+    return res.json({ success: true, message: 'Analytics tracked' });
+    
+  } catch (error) {
+    console.error('Error tracking analytics:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ==================== WORKSPACE OVERVIEW ====================
+
+// Overviews are cached per user and query, so reloading the dashboard doesn't re-run the aggregations
+const OVERVIEW_CACHE_MS = parseInt(process.env.OVERVIEW_CACHE_MS) || 5 * 60 * 1000;
+const OVERVIEW_CACHE_MAX_ENTRIES = 1000;
+const overviewCache = new Map(); // user id + query -> { data, loadedAt }
+
+// ClickEvent filter for the links matching a URL filter. Events only know their link's slug and
+// domain, so the links are listed and grouped by domain. An empty URL filter (admins) matches
+// every event; null means no links matched.
+async function getLinkEventFilter(urlFilter) {
+  if (Object.keys(urlFilter).length === 0) return {};
+
+  const links = await URL.find(urlFilter).select('slug domain').lean();
+  if (links.length === 0) return null;
+
+  const slugsByDomain = new Map();
+  for (const link of links) {
+    const key = link.domain || null;
+    if (!slugsByDomain.has(key)) slugsByDomain.set(key, []);
+    slugsByDomain.get(key).push(link.slug);
+  }
+  return { $or: [...slugsByDomain.entries()].map(([domain, slugs]) => ({ domain, slug: { $in: slugs } })) };
+}
+
+// Percentage change from previous to current (null without a previous value)
+function percentChange(current, previous) {
+  if (!previous) return null;
+  return Math.round((current - previous) / previous * 1000) / 10;
+}
+
+// Views and downloads of the workspace's files per bucket. File counters are kept per UTC day,
+// so they are bucketed in UTC and never finer than a day.
+async function getFileActivity(fileFilter, { from, to, previousFrom, interval }) {
+  const fromDay = from.toISOString().split('T')[0];
+  const previousFromDay = previousFrom.toISOString().split('T')[0];
+  const toDay = new Date(to.getTime() - 1).toISOString().split('T')[0];
+  const labels = getBucketLabels(from, to, interval, 'UTC');
+  const buckets = new Map(labels.map(label => [label, { bucket: label, downloads: 0, views: 0 }]));
+  const totals = { downloads: 0, views: 0, previousDownloads: 0, previousViews: 0 };
+
+  const add = (counts, field, previousField) => {
+    for (const [day, count] of Object.entries(counts || {})) {
+      if (day > toDay || day < previousFromDay) continue;
+      if (day < fromDay) {
+        totals[previousField] += count;
+        continue;
+      }
+      totals[field] += count;
+      const label = formatBucketLabel(truncateWallTime(new Date(`${day}T00:00:00Z`), interval), interval);
+      if (buckets.has(label)) buckets.get(label)[field] += count;
+    }
+  };
+
+  const cursor = File.find(fileFilter).select('analytics.downloadsByDate analytics.viewsByDate').lean().cursor();
+  for await (const file of cursor) {
+    add(file.analytics?.downloadsByDate, 'downloads', 'previousDownloads');
+    add(file.analytics?.viewsByDate, 'views', 'previousViews');
+  }
+  return { points: [...buckets.values()], totals };
+}
+
+async function buildOverview(req, { from, to, timeZone, interval, limit }) {
+  const scope = ownerFilter(req);
+  const previousFrom = new Date(from.getTime() - (to.getTime() - from.getTime()));
+  const linkFilter = await getLinkEventFilter(scope);
+  const events = { ...(linkFilter || { _id: null }), ...countedEventsFilter(req.query) };
+
+  const bucket = {
+    $dateToString: {
+      date: { $dateTrunc: { date: '$timestamp', unit: interval, timezone: timeZone, startOfWeek: 'monday' } },
+      format: TIMESERIES_LABEL_FORMATS[interval],
+      timezone: timeZone
+    }
+  };
+  const top = (expression) => [
+    { $group: { _id: { $ifNull: [expression, 'Unknown'] }, clicks: { $sum: 1 } } },
+    { $sort: { clicks: -1, _id: 1 } },
+    { $limit: limit }
+  ];
+
+  const fileInterval = interval === 'hour' ? 'day' : interval;
+  const [[current], perLink, files, linkCount, fileCount] = await Promise.all([
+    ClickEvent.aggregate([
+      { $match: { ...events, timestamp: { $gte: from, $lt: to } } },
+      {
+        $facet: {
+          timeline: [{ $group: { _id: bucket, clicks: { $sum: 1 } } }],
+          referrers: top(ANALYTICS_DIMENSIONS.referrer),
+          countries: top(ANALYTICS_DIMENSIONS.country),
+          devices: top(ANALYTICS_DIMENSIONS.device)
+        }
+      }
+    ]),
+    // Clicks per link in this and the previous period, for top links and growth
+    ClickEvent.aggregate([
+      { $match: { ...events, timestamp: { $gte: previousFrom, $lt: to } } },
+      {
+        $group: {
+          _id: { domain: '$domain', slug: '$slug' },
+          clicks: { $sum: { $cond: [{ $gte: ['$timestamp', from] }, 1, 0] } },
+          previousClicks: { $sum: { $cond: [{ $lt: ['$timestamp', from] }, 1, 0] } }
+        }
+      }
+    ]),
+    getFileActivity(scope, { from, to, previousFrom, interval: fileInterval }),
+    URL.countDocuments(scope),
+    File.countDocuments(scope)
+  ]);
+
+  const links = perLink.map(row => ({
+    slug: row._id.slug,
+    domain: row._id.domain || null,
+    clicks: row.clicks,
+    previousClicks: row.previousClicks
+  }));
+  const topLinks = [...links]
+    .filter(link => link.clicks > 0)
+    .sort((a, b) => b.clicks - a.clicks)
+    .slice(0, limit);
+  const fastestGrowing = links
+    .filter(link => link.clicks > link.previousClicks)
+    .sort((a, b) => (b.clicks - b.previousClicks) - (a.clicks - a.previousClicks) || b.clicks - a.clicks)
+    .slice(0, limit);
+
+  // Titles for the links that made a list
+  const listed = [...topLinks, ...fastestGrowing];
+  const titles = new Map();
+  if (listed.length > 0) {
+    const found = await URL.find({ $or: listed.map(({ slug, domain }) => ({ slug, domain })) })
+      .select('slug domain title')
+      .lean();
+    for (const url of found) titles.set(`${url.domain || ''}/${url.slug}`, url.title || null);
+  }
+  const describe = (link) => ({
+    slug: link.slug,
+    shortUrl: buildShortUrl(link.domain, link.slug),
+    title: titles.get(`${link.domain || ''}/${link.slug}`) ?? null,
+    clicks: link.clicks,
+    previousClicks: link.previousClicks,
+    change: percentChange(link.clicks, link.previousClicks)
+  });
+
+  const timeline = new Map(current.timeline.map(row => [row._id, row.clicks]));
+  const clicks = links.reduce((sum, link) => sum + link.clicks, 0);
+  const previousClicks = links.reduce((sum, link) => sum + link.previousClicks, 0);
+  const toTop = (rows) => rows.map(row => ({ key: String(row._id), clicks: row.clicks }));
+
+  return {
+    from,
+    to,
+    previousFrom,
+    interval,
+    tz: timeZone,
+    totals: {
+      links: linkCount,
+      files: fileCount,
+      clicks,
+      previousClicks,
+      clicksChange: percentChange(clicks, previousClicks),
+      downloads: files.totals.downloads,
+      previousDownloads: files.totals.previousDownloads,
+      downloadsChange: percentChange(files.totals.downloads, files.totals.previousDownloads),
+      views: files.totals.views,
+      previousViews: files.totals.previousViews
+    },
+    clicks: getBucketLabels(from, to, interval, timeZone).map(label => ({ bucket: label, clicks: timeline.get(label) || 0 })),
+    downloads: { interval: fileInterval, tz: 'UTC', points: files.points },
+    topLinks: topLinks.map(describe),
+    fastestGrowing: fastestGrowing.map(describe),
+    topReferrers: toTop(current.referrers),
+    topCountries: toTop(current.countries),
+    topDevices: toTop(current.devices),
+    generatedAt: new Date()
+  };
+}
+
+// Analytics across all of the workspace's links and files, compared with the period before
+// (GET /api/analytics/overview?from=30d&interval=day&tz=Europe/Berlin). ?refresh=true skips the cache.
+// Registered before /api/analytics/:slug so "overview" isn't taken for a slug.
+app.get('/api/analytics/overview', ensureMongoConnection, requireAuth, async (req, res) => {
+  try {
+    const interval = req.query.interval || 'day';
+    if (!TIMESERIES_INTERVALS.includes(interval)) {
+      return res.status(400).json({ message: `Interval must be one of ${TIMESERIES_INTERVALS.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    const cacheKey = `${req.user._id}|${JSON.stringify([req.query.from, req.query.to, req.query.tz, interval, limit, req.query.raw])}`;
+    const cached = overviewCache.get(cacheKey);
+    if (cached && req.query.refresh !== 'true' && Date.now() - cached.loadedAt < OVERVIEW_CACHE_MS) {
+      return res.json({ ...cached.data, cached: true });
+    }
+
+    let options;
+    try {
+      const range = parseAnalyticsRange(req.query);
+      getBucketLabels(range.from, range.to, interval, range.timeZone); // Rejects too many buckets
+      options = { ...range, interval, limit };
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      return res.status(400).json({ message: error.message });
+    }
+
+    const data = await buildOverview(req, options);
+
+    // Drop expired entries, then the oldest ones if the cache is still full
+    for (const [key, entry] of overviewCache) {
+      if (Date.now() - entry.loadedAt >= OVERVIEW_CACHE_MS) overviewCache.delete(key);
+    }
+    while (overviewCache.size >= OVERVIEW_CACHE_MAX_ENTRIES) {
+      overviewCache.delete(overviewCache.keys().next().value);
+    }
+    overviewCache.delete(cacheKey);
+    overviewCache.set(cacheKey, { data, loadedAt: Date.now() });
+
+    return res.json({ ...data, cached: false });
+
+  } catch (error) {
+    console.error('Error getting analytics overview:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ==================== LIVE STREAM ====================
+
+// Streams read what every instance writes, so they see events recorded by any instance: clicks
+// from ClickEvent (the redirect path writes nothing extra) and downloads, which have no event
+// document of their own, from a short-lived StreamEvent collection. How new events are read is
+// pluggable (see STREAM_BACKENDS): poll works anywhere, change-stream needs a replica set (as on Atlas).
+const STREAM_BACKEND = process.env.STREAM_BACKEND || 'poll';
+const STREAM_POLL_MS = parseInt(process.env.STREAM_POLL_MS) || 1000;
+const STREAM_HEARTBEAT_MS = 25 * 1000; // Keeps proxies from closing idle connections
+const STREAM_AUTH_CHECK_MS = 5 * 60 * 1000; // Streams end once their session or API key is gone
+const STREAM_REPLAY_LIMIT = 1000; // Events sent on reconnect with Last-Event-ID
+const STREAM_RETRY_MS = 3000;
+
+// Not awaited by callers, so recording a download doesn't wait for it
+function publishStreamEvent(type, item, data) {
+  StreamEvent.create({ type, owner: item.owner || null, slug: item.slug, domain: item.domain || null, data })
+    .catch(error => console.error('Error publishing stream event:', error));
+}
+
+// Parsed fields of a download, like a click's (coarse only for opted-out visitors)
+function describeDownload(req, file) {
+  const click = parseClickData(req);
+  const optedOut = isTrackingOptOut(req);
+  const botType = classifyBot(req, click.userAgent);
+  return {
+    timestamp: new Date(),
+    slug: file.slug,
+    domain: file.domain || DEFAULT_HOSTNAME,
+    originalName: file.originalName,
+    country: click.country,
+    region: optedOut ? null : click.region,
+    city: optedOut ? null : click.city,
+    browser: click.browser,
+    browserVersion: click.browserVersion,
+    os: click.os,
+    osVersion: click.osVersion,
+    device: click.device,
+    deviceModel: click.deviceModel,
+    isMobile: click.isMobile,
+    isTablet: click.isTablet,
+    isDesktop: click.isDesktop,
+    referer: optedOut ? getReferrerHost(click.referer) : click.referer,
+    language: click.acceptLanguage ? click.acceptLanguage.split(',')[0].split('-')[0].trim() : null,
+    isBot: Boolean(botType),
+    botType
+  };
+}
+
+// Owners of recently clicked links, so the account stream can tell whose clicks it sees
+const LINK_OWNER_CACHE_MS = 60 * 1000;
+const LINK_OWNER_CACHE_MAX_ENTRIES = 10000;
+const linkOwnerCache = new Map(); // domain + slug -> { owner, loadedAt }
+
+async function getLinkOwner(slug, domain) {
+  const key = `${domain || ''}/${slug}`;
+  const cached = linkOwnerCache.get(key);
+  if (cached && Date.now() - cached.loadedAt < LINK_OWNER_CACHE_MS) return cached.owner;
+
+  const url = await URL.findOne({ slug, domain: domain || null }).select('owner').lean();
+  if (linkOwnerCache.size >= LINK_OWNER_CACHE_MAX_ENTRIES) linkOwnerCache.clear();
+  linkOwnerCache.set(key, { owner: url?.owner || null, loadedAt: Date.now() });
+  return url?.owner || null;
+}
+
+// A ClickEvent as a stream event. The link's owner is looked up unless the caller passes it.
+async function clickToStreamEvent(click, owner) {
+  return {
+    _id: click._id,
+    type: 'click',
+    owner: owner !== undefined ? owner : await getLinkOwner(click.slug, click.domain),
+    slug: click.slug,
+    domain: click.domain || null,
+    data: {
+      ...Object.fromEntries(DEFAULT_CLICK_EXPORT_COLUMNS.map(column => [column, click[column] ?? null])),
+      domain: click.domain || DEFAULT_HOSTNAME
+    }
+  };
+}
+
+// Collections new stream events are read from, and how their documents become stream events
+const STREAM_SOURCES = [
+  { Model: ClickEvent, toEvent: click => clickToStreamEvent(click) },
+  { Model: StreamEvent, toEvent: event => event }
+];
+
+// Ways to learn about new stream events. A backend calls onEvent with the source and each new
+// document inserted into it and onError if it can't go on, and returns a function that stops it.
+// Another pub/sub system can be plugged in by adding it here.
+const STREAM_BACKENDS = {
+  // A change stream holds its connection for as long as it's open, so they get their own instead
+  // of taking the app's only pooled one
+  'change-stream': (onEvent, onError) => {
+    const connection = mongoose.createConnection(MONGODB_URI, mongoOptions);
+    const changeStreams = [];
+    let stopped = false;
+
+    connection.asPromise().then(() => {
+      if (stopped) return;
+      for (const source of STREAM_SOURCES) {
+        const changeStream = connection.collection(source.Model.collection.collectionName)
+          .watch([{ $match: { operationType: 'insert' } }]);
+        changeStream.on('change', change => onEvent(source, change.fullDocument));
+        changeStream.on('error', onError);
+        changeStreams.push(changeStream);
+      }
+    }).catch(onError);
+
+    return () => {
+      stopped = true;
+      Promise.allSettled(changeStreams.map(changeStream => changeStream.close()))
+        .finally(() => connection.close().catch(() => {}));
+    };
+  },
+
+  // ObjectIds from different instances aren't strictly ordered, so each poll looks a few seconds
+  // back and skips the events it has already seen
+  poll: (onEvent, onError) => {
+    const overlapSeconds = 5;
+    const startedAt = new Date();
+    const seen = new Set();
+    let since = Math.floor(Date.now() / 1000);
+    let polling = false;
+
+    const timer = setInterval(async () => {
+      if (polling) return;
+      polling = true;
+      try {
+        const pollStart = Math.floor(Date.now() / 1000);
+        for (const source of STREAM_SOURCES) {
+          const documents = await source.Model.find({
+            _id: { $gte: mongoose.Types.ObjectId.createFromTime(since - overlapSeconds) },
+            createdAt: { $gte: startedAt }
+          }).sort({ _id: 1 }).lean();
+          for (const document of documents) {
+            const id = String(document._id);
+            if (seen.has(id)) continue;
+            seen.add(id);
+            onEvent(source, document);
+          }
+        }
+        since = pollStart;
+        for (const id of seen) {
+          if (new mongoose.Types.ObjectId(id).getTimestamp().getTime() / 1000 < since - overlapSeconds) seen.delete(id);
+        }
+      } catch (error) {
+        console.error('Error polling stream events:', error);
+      } finally {
+        polling = false;
+      }
+    }, STREAM_POLL_MS);
+    timer.unref();
+
+    return () => clearInterval(timer);
+  }
+};
+
+// One feed per instance, shared by all open streams and stopped when the last one closes
+const streamSubscribers = new Set();
+let streamBackend = STREAM_BACKENDS[STREAM_BACKEND] ? STREAM_BACKEND : 'poll';
+let stopStreamFeed = null;
+
+function startStreamFeed() {
+  const backend = streamBackend;
+  stopStreamFeed = STREAM_BACKENDS[backend](
+    async (source, document) => {
+      let event;
+      try {
+        event = await source.toEvent(document);
+      } catch (error) {
+        console.error('Error reading stream event:', error);
+        return;
+      }
+      for (const subscriber of streamSubscribers) subscriber(event);
+    },
+    (error) => {
+      // Change streams fail on a standalone server; polling always works
+      console.error(`Error in ${backend} stream feed, switching to polling:`, error.message);
+      if (stopStreamFeed) stopStreamFeed();
+      stopStreamFeed = null;
+      streamBackend = 'poll';
+      if (streamSubscribers.size > 0) startStreamFeed();
+    }
+  );
+}
+
+function subscribeToStream(subscriber) {
+  streamSubscribers.add(subscriber);
+  if (!stopStreamFeed) startStreamFeed();
+  return () => {
+    streamSubscribers.delete(subscriber);
+    if (streamSubscribers.size === 0 && stopStreamFeed) {
+      stopStreamFeed();
+      stopStreamFeed = null;
+    }
+  };
+}
+
+// EventSource can't send headers, so streams also take the token as ?access_token=
+function acceptQueryToken(req, res, next) {
+  if (!req.headers.authorization && !req.headers['x-api-key'] && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+// Events in scope recorded after the one a reconnecting stream last got, oldest first
+async function getMissedStreamEvents(after, scope) {
+  const wants = (type) => !scope.types || scope.types.includes(type);
+  const link = scope.slug !== undefined ? { slug: scope.slug, domain: scope.domain } : {};
+
+  let clicks = [];
+  if (wants('click')) {
+    const linkFilter = scope.slug !== undefined ? link : await getLinkEventFilter(scope.owner ? { owner: scope.owner } : {});
+    if (linkFilter) {
+      const events = await ClickEvent.find({ _id: { $gt: after }, ...linkFilter })
+        .sort({ _id: 1 }).limit(STREAM_REPLAY_LIMIT).lean();
+      // The scope already limits the owner, so there's nothing to look up
+      clicks = await Promise.all(events.map(click => clickToStreamEvent(click, scope.owner || null)));
+    }
+  }
+
+  let downloads = [];
+  if (wants('download')) {
+    const query = { _id: { $gt: after }, ...link };
+    if (scope.owner) query.owner = scope.owner;
+    downloads = await StreamEvent.find(query).sort({ _id: 1 }).limit(STREAM_REPLAY_LIMIT).lean();
+  }
+
+  return [...clicks, ...downloads]
+    .sort((a, b) => String(a._id).localeCompare(String(b._id)))
+    .slice(0, STREAM_REPLAY_LIMIT);
+}
+
+// Send matching stream events as Server-Sent Events until the client disconnects. scope limits
+// the events by type, owner and/or link ({ slug, domain }). Bots and repeat clicks are left out
+// unless ?raw=true.
+async function sendEventStream(req, res, scope) {
+  const raw = req.query.raw === 'true';
+  const matches = (event) =>
+    (!scope.types || scope.types.includes(event.type))
+    && (!scope.owner || String(event.owner) === String(scope.owner))
+    && (scope.slug === undefined || (event.slug === scope.slug && (event.domain || null) === scope.domain))
+    && (raw || !(event.data?.isBot || event.data?.duplicate));
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+  });
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  const replayed = new Set();
+  const send = (event) => {
+    if (res.writableEnded || !matches(event) || replayed.has(String(event._id))) return;
+    const payload = { type: event.type, shortUrl: buildShortUrl(event.domain, event.slug), ...event.data };
+    res.write(`id: ${event._id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  // Subscribe before catching up so nothing recorded in between is lost
+  const pending = [];
+  let catchingUp = true;
+  const unsubscribe = subscribeToStream((event) => (catchingUp ? pending.push(event) : send(event)));
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+  const authCheck = setInterval(async () => {
+    const user = await resolveUser(req).catch(() => null);
+    if (!user) res.end();
+  }, STREAM_AUTH_CHECK_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearInterval(authCheck);
+    unsubscribe();
+  });
+
+  const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+  if (lastEventId && mongoose.Types.ObjectId.isValid(lastEventId)) {
+    const missed = await getMissedStreamEvents(new mongoose.Types.ObjectId(lastEventId), scope);
+    for (const event of missed) {
+      send(event);
+      replayed.add(String(event._id));
+    }
+  }
+  catchingUp = false;
+  pending.forEach(send);
+}
+
+// Live clicks on all of the account's links and downloads of its files (admins get everything)
+// Registered before /api/analytics/:slug so "stream" isn't taken for a slug.
+app.get('/api/analytics/stream', acceptQueryToken, ensureMongoConnection, requireAuth, async (req, res) => {
+  try {
+    await sendEventStream(req, res, { owner: ownerFilter(req).owner });
+  } catch (error) {
+    console.error('Error streaming account events:', error);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Live clicks on one link
+app.get('/api/analytics/:slug/stream', acceptQueryToken, ensureMongoConnection, requireAuth, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const domain = await getRequestDomain(req);
+
+    const url = await URL.findOne({ slug, domain, ...ownerFilter(req) }).select('_id');
+    if (!url) {
+      return res.status(404).json({ message: 'URL not found' });
+    }
+
+    await sendEventStream(req, res, { types: ['click'], slug, domain });
+  } catch (error) {
+    console.error('Error streaming clicks:', error);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Live downloads of one file
+app.get('/api/file/:slug/stream', acceptQueryToken, ensureMongoConnection, requireAuth, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const domain = await getRequestDomain(req);
+
+    const file = await File.findOne({ slug, domain, ...ownerFilter(req) }).select('_id');
+    if (!file) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    await sendEventStream(req, res, { types: ['download'], slug, domain });
+  } catch (error) {
+    console.error('Error streaming downloads:', error);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get analytics for a URL
+app.get('/api/analytics/:slug', ensureMongoConnection, requireAuth, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const domain = await getRequestDomain(req);
+    const { includeEvents, limit = 100 } = req.query;
     
-    // Update screen resolution (from client data)
-    if (clientData.screenWidth && clientData.screenHeight) {
-      const resolution = `${clientData.screenWidth}x${clientData.screenHeight}`;
-      const screenResolutions = url.analytics.screenResolutions || {};
-      screenResolutions[resolution] = (screenResolutions[resolution] || 0) + 1;
-      url.analytics.screenResolutions = screenResolutions;
+    const url = await URL.findOne({ slug, domain, ...ownerFilter(req) });
+    
+    if (!url) {
+      return res.status(404).json({ message: 'URL not found' });
+    }
+    
+    // Get all comprehensive analytics (map keys decoded, see encodeAnalyticsKey)
+    const stored = decodeAnalytics(url.analytics);
+    const analytics = {
+      referrers: stored.referrers || {},
+      browsers: stored.browsers || {},
+      browserVersions: stored.browserVersions || {},
+      devices: stored.devices || {},
+      deviceModels: stored.deviceModels || {},
+      os: stored.os || {},
+      osVersions: stored.osVersions || {},
+      countries: stored.countries || {},
+      regions: stored.regions || {},
+      cities: stored.cities || {},
+      languages: stored.languages || {},
+      timezones: stored.timezones || {},
+      clicksByDate: stored.clicksByDate || {},
+      clicksByHour: stored.clicksByHour || {},
+      clicksByDayOfWeek: stored.clicksByDayOfWeek || {},
+      screenResolutions: stored.screenResolutions || {},
+      utmSources: stored.utmSources || {},
+      utmMediums: stored.utmMediums || {},
+      utmCampaigns: stored.utmCampaigns || {},
+      deviceTypes: stored.deviceTypes || { mobile: 0, tablet: 0, desktop: 0 },
+      platforms: stored.platforms || {},
+      inAppBrowsers: stored.inAppBrowsers || {},
+      // Enhanced analytics
+      connectionTypes: stored.connectionTypes || {},
+      botClicks: stored.botClicks || 0,
+      botTypes: stored.botTypes || {},
+      humanClicks: stored.humanClicks || 0,
+      duplicateClicks: stored.duplicateClicks || 0,
+      uniqueVisitors: await countUniqueVisitors({ url: url._id }),
+      matchedRules: stored.matchedRules || {},
+      variants: stored.variants || {},
+      deepLinkPaths: stored.deepLinkPaths || {},
+      channels: stored.channels || {},
+      darkModeUsers: stored.darkModeUsers || 0,
+      lightModeUsers: stored.lightModeUsers || 0
+    };
+    
+    const response = {
+      slug: url.slug,
+      originalUrl: url.originalUrl,
+      shortUrl: buildShortUrl(url.domain, url.slug),
+      createdAt: url.createdAt,
+      activatesAt: url.activatesAt,
+      expiresAt: url.expiresAt,
+      clicks: countedClickCount(url),
+      rawClicks: url.clicks,
+      targetingRules: url.targetingRules || [],
+      // Clicks per A/B variant, to compare destinations
+      variants: (url.variants || []).map(variant => ({
+        name: variant.name,
+        destination: variant.destination,
+        weight: variant.weight,
+        clicks: stored.variants?.[variant.name] || 0
+      })),
+      analytics
+    };
+    
+    // Optionally include individual click events
+    if (includeEvents === 'true') {
+      const events = await ClickEvent.find({ slug, domain })
+        .sort({ timestamp: -1 })
+        .limit(parseInt(limit))
+        .lean();
+      response.events = events;
+      response.totalEvents = await ClickEvent.countDocuments({ slug, domain });
+    }
+    
+    return res.json(response);
+    
+  } catch (error) {
+    console.error('Error getting analytics:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get click events for a URL
+app.get('/api/analytics/:slug/events', ensureMongoConnection, requireAuth, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const domain = await getRequestDomain(req);
+    const { page = 1, limit = 50, startDate, endDate } = req.query;
+    
+    const url = await URL.findOne({ slug, domain, ...ownerFilter(req) });
+    
+    if (!url) {
+      return res.status(404).json({ message: 'URL not found' });
+    }
+    
+    const query = { slug, domain };
+    
+    // Add date range filter if provided
+    if (startDate || endDate) {
+      query.timestamp = {};
+      if (startDate) query.timestamp.$gte = new Date(startDate);
+      if (endDate) query.timestamp.$lte = new Date(endDate);
+    }
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const events = await ClickEvent.find(query)
+      .sort({ timestamp: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+    
+    const totalEvents = await ClickEvent.countDocuments(query);
+    
+    return res.json({
+      events,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalEvents,
+        pages: Math.ceil(totalEvents / parseInt(limit))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error getting click events:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ==================== BOT DETECTION ====================
+
+// User agent signatures of automated clients, checked after the link preview crawlers
+const BOT_SIGNATURES = [
+  [/HeadlessChrome|PhantomJS|Puppeteer|Playwright|Selenium|WebDriver|Lighthouse|PTST\//i, 'headless'],
+  [/Proofpoint|Mimecast|Barracuda|urlscan|VirusTotal|Safelinks|CheckPoint|Forcepoint|Zscaler/i, 'scanner'],
+  [/^(curl|Wget|HTTPie|PostmanRuntime|insomnia)\/|python-requests|python-urllib|aiohttp|httpx|axios\/|node-fetch|undici|Go-http-client|okhttp|^Java\/|Apache-HttpClient|libwww-perl|^Ruby/i, 'http-client'],
+  [/(?<!cu)bot\b|bot\/|crawl|spider|slurp|scrape|fetcher|monitor|uptime|preview/i, 'crawler'] // CUBOT is a phone brand
+];
+
+// Repeat clicks from the same visitor on the same link within this window are flagged as
+// duplicates and left out of the reported counts (0 = count every click)
+const CLICK_DEDUP_WINDOW_MS = process.env.CLICK_DEDUP_WINDOW_MS !== undefined
+  ? Math.max(0, parseInt(process.env.CLICK_DEDUP_WINDOW_MS) || 0)
+  : 30 * 60 * 1000;
+
+// Why a request looks automated (crawler, headless, scanner, http-client, prefetch, no-user-agent
+// or client when the tracking script said so), or null for a human visitor
+function classifyBot(req, userAgent, clientData = {}) {
+  if (!userAgent) return 'no-user-agent';
+  if (detectPreviewCrawler(userAgent)) return 'crawler';
+
+  const match = BOT_SIGNATURES.find(([pattern]) => pattern.test(userAgent));
+  if (match) return match[1];
+
+  // Browsers and proxies announce speculative loads that aren't a click
+  const purpose = [req.headers.purpose, req.headers['sec-purpose'], req.headers['x-purpose'], req.headers['x-moz']]
+    .filter(Boolean)
+    .join(' ');
+  if (/prefetch|prerender|preview/i.test(purpose)) return 'prefetch';
+
+  if (clientData.isBot === true) return 'client';
+  return null;
+}
+
+// Whether this visitor already clicked the link within CLICK_DEDUP_WINDOW_MS. Visitors are
+// matched on their visitor ID. Only clicks without one (like redirects) fall back to the dedup
+// key of their full IP and user agent: the stored IP may be truncated to a shared subnet.
+async function isDuplicateClick(url, { visitorId, dedupKey }, now) {
+  if (!CLICK_DEDUP_WINDOW_MS) return false;
+
+  let visitor;
+  if (visitorId) {
+    visitor = { visitorId };
+  } else if (dedupKey) {
+    visitor = { dedupKey, visitorId: null };
+  } else {
+    return false;
+  }
+
+  return Boolean(await ClickEvent.exists({
+    slug: url.slug,
+    domain: url.domain || null,
+    isBot: { $ne: true },
+    timestamp: { $gte: new Date(now.getTime() - CLICK_DEDUP_WINDOW_MS) },
+    ...visitor
+  }));
+}
+
+// Reported clicks leave out bots and repeat clicks; ?raw=true counts every event
+function countedEventsFilter(query) {
+  if (query.raw === 'true') return {};
+  return { isBot: { $ne: true }, duplicate: { $ne: true } };
+}
+
+// ==================== PRIVACY ====================
+
+// How visitor IPs are stored: truncate (host part zeroed: /24 for IPv4, /48 for IPv6),
+// hash (salted SHA-256 with a rotating salt) or off (as received)
+const IP_ANONYMIZATION_MODES = ['truncate', 'hash', 'off'];
+const IP_ANONYMIZATION = IP_ANONYMIZATION_MODES.includes(process.env.IP_ANONYMIZATION)
+  ? process.env.IP_ANONYMIZATION
+  : 'truncate';
+// A new salt is used every SALT_ROTATION_MS. Salts live one extra period so hashes made just
+// before a rotation still match for redirect dedup and erasure requests.
+const SALT_ROTATION_MS = parseInt(process.env.SALT_ROTATION_MS) || 24 * 60 * 60 * 1000;
+const SALT_RETENTION_PERIODS = 2;
+// Do Not Track / Global Privacy Control are honored unless HONOR_DNT=off
+const HONOR_DNT = process.env.HONOR_DNT !== 'off';
+
+const saltCache = new Map(); // period -> salt
+
+// Salt for a rotation period, shared by all instances through the database
+async function getSalt(period = Math.floor(Date.now() / SALT_ROTATION_MS)) {
+  if (saltCache.has(period)) return saltCache.get(period);
+
+  const update = {
+    $setOnInsert: {
+      salt: crypto.randomBytes(32).toString('hex'),
+      expiresAt: new Date((period + SALT_RETENTION_PERIODS) * SALT_ROTATION_MS)
+    }
+  };
+  let doc;
+  try {
+    doc = await VisitorSalt.findOneAndUpdate({ period }, update, { upsert: true, new: true }).lean();
+  } catch (error) {
+    // Another instance created it at the same moment
+    if (error.code !== 11000) throw error;
+    doc = await VisitorSalt.findOne({ period }).lean();
+  }
+
+  for (const cached of saltCache.keys()) {
+    if (cached < period - SALT_RETENTION_PERIODS) saltCache.delete(cached);
+  }
+  saltCache.set(period, doc.salt);
+  return doc.salt;
+}
+
+function hashIdentifier(value, salt) {
+  return crypto.createHash('sha256').update(`${salt}:${value}`).digest('hex');
+}
+
+// Zero the host part of an IP: 203.0.113.42 -> 203.0.113.0, 2001:db8:1:2::5 -> 2001:db8:1::
+function truncateIp(ip) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapped) return `::ffff:${truncateIp(mapped[1])}`;
+
+  if (net.isIPv4(ip)) return ip.replace(/\.\d+$/, '.0');
+  if (!net.isIPv6(ip)) return null;
+
+  const [head, tail = ''] = ip.split('%')[0].split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = ip.includes('::') && tail ? tail.split(':') : [];
+  const groups = [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+  return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::`;
+}
+
+// The form of a visitor IP that gets stored (x-forwarded-for may hold a list, the first is the client)
+async function anonymizeIp(ip) {
+  const clientIp = typeof ip === 'string' ? ip.split(',')[0].trim() : '';
+  if (!clientIp) return null;
+  if (IP_ANONYMIZATION === 'off') return clientIp;
+  if (IP_ANONYMIZATION === 'hash') return hashIdentifier(clientIp, await getSalt());
+  return truncateIp(clientIp);
+}
+
+// Key for matching repeat clicks without a visitor ID, made from the full IP before it is
+// truncated. Uses the rotating salt, so a repeat click right after a rotation counts again.
+async function getDedupKey(ip, userAgent) {
+  const clientIp = typeof ip === 'string' ? ip.split(',')[0].trim() : '';
+  if (!clientIp || !userAgent) return null;
+  return hashIdentifier(`${clientIp} ${userAgent}`, await getSalt());
+}
+
+// Visitor IDs are hashed with the same rotating salt (kept as-is only with IP_ANONYMIZATION=off)
+async function pseudonymizeVisitorId(visitorId) {
+  if (visitorId === undefined || visitorId === null || visitorId === '') return null;
+  if (IP_ANONYMIZATION === 'off') return String(visitorId);
+  return hashIdentifier(String(visitorId), await getSalt());
+}
+
+// Visitor asked not to be tracked: DNT or Sec-GPC header, or the tracking script reporting them
+function isTrackingOptOut(req, clientData = {}) {
+  if (!HONOR_DNT) return false;
+  return req.headers.dnt === '1'
+    || req.headers['sec-gpc'] === '1'
+    || clientData.doNotTrack === true
+    || clientData.globalPrivacyControl === true;
+}
+
+// Every form an identifier may be stored in: as received (events from before anonymization),
+// truncated (IPs) and hashed with each salt still on record. Hashes made with deleted salts
+// can't be matched, nor linked back to the visitor.
+async function getStoredIdentifierForms(value, kind) {
+  const forms = new Set([value]);
+  if (kind === 'ip') forms.add(truncateIp(value));
+  const salts = await VisitorSalt.find({ expiresAt: { $gt: new Date() } }).select('salt').lean();
+  for (const { salt } of salts) forms.add(hashIdentifier(value, salt));
+  return [...forms];
+}
+
+// Delete every click event tied to a visitor ID or IP across all links (data-subject erasure).
+// Truncated IPs are shared by a /24 (/48) network, so erasing by IP also removes its neighbours' events.
+app.post('/api/admin/privacy/erasure', ensureMongoConnection, requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const ip = typeof req.body.ip === 'string' ? req.body.ip.trim() : '';
+    const visitorId = req.body.visitorId !== undefined && req.body.visitorId !== null
+      ? String(req.body.visitorId).trim()
+      : '';
+    const reference = typeof req.body.reference === 'string' ? req.body.reference.trim().slice(0, 200) : null;
+
+    if (!ip && !visitorId) {
+      return res.status(400).json({ message: 'ip or visitorId is required' });
     }
-    
-    // Update platform/source (from client data)
-    if (clientData.platform) {
-      const platforms = url.analytics.platforms || {};
-      platforms[clientData.platform] = (platforms[clientData.platform] || 0) + 1;
-      url.analytics.platforms = platforms;
-      console.log('Platform tracked:', clientData.platform);
+    if (ip && !net.isIP(ip)) {
+      return res.status(400).json({ message: 'ip must be a valid IPv4 or IPv6 address' });
     }
-    
-    // Update in-app browser tracking
-    if (clientData.isInAppBrowser && clientData.appName) {
-      const inAppBrowsers = url.analytics.inAppBrowsers || {};
-      inAppBrowsers[clientData.appName] = (inAppBrowsers[clientData.appName] || 0) + 1;
-      url.analytics.inAppBrowsers = inAppBrowsers;
-      console.log('In-app browser tracked:', clientData.appName);
+
+    // Unique visitor sketches hold no identifiers (see hashVisitor), so only events need deleting
+    const conditions = [];
+    if (ip) {
+      conditions.push({ ip: { $in: await getStoredIdentifierForms(ip, 'ip') } });
     }
-    
-    // Enhanced analytics: Connection type tracking
-    if (clientData.connectionType) {
-      const connectionTypes = url.analytics.connectionTypes || {};
-      connectionTypes[clientData.connectionType] = (connectionTypes[clientData.connectionType] || 0) + 1;
-      url.analytics.connectionTypes = connectionTypes;
+    if (visitorId) {
+      conditions.push({ visitorId: { $in: await getStoredIdentifierForms(visitorId, 'visitorId') } });
     }
-    
-    // Enhanced analytics: Bot detection
-    if (clientData.isBot !== undefined) {
-      if (clientData.isBot) {
-        url.analytics.botClicks = (url.analytics.botClicks || 0) + 1;
-        console.log('Bot click detected');
-      } else {
-        url.analytics.humanClicks = (url.analytics.humanClicks || 0) + 1;
-      }
+
+    const { deletedCount } = await ClickEvent.deleteMany({ $or: conditions });
+
+    const audit = await ErasureAudit.create({
+      requestedBy: req.user._id,
+      reference: reference || null,
+      subjects: [ip && 'ip', visitorId && 'visitorId'].filter(Boolean),
+      deletedEvents: deletedCount
+    });
+
+    return res.json({
+      deletedEvents: deletedCount,
+      auditId: audit._id
+    });
+
+  } catch (error) {
+    console.error('Error erasing visitor data:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List erasure audit records, newest first
+app.get('/api/admin/privacy/erasures', ensureMongoConnection, requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const erasures = await ErasureAudit.find()
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('requestedBy', 'email')
+      .lean();
+
+    return res.json({
+      erasures: erasures.map(erasure => ({
+        id: erasure._id,
+        requestedBy: erasure.requestedBy?.email || null,
+        reference: erasure.reference,
+        subjects: erasure.subjects,
+        deletedEvents: erasure.deletedEvents,
+        createdAt: erasure.createdAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error listing erasures:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ==================== TIME SERIES ====================
+
+const TIMESERIES_INTERVALS = ['hour', 'day', 'week', 'month'];
+const MAX_TIMESERIES_BUCKETS = 1000;
+const DEFAULT_ANALYTICS_RANGE_MS = 30 * DURATION_UNITS_MS.d;
+// Bucket labels, in the requested time zone (weeks start on Monday)
+const TIMESERIES_LABEL_FORMATS = { hour: '%Y-%m-%dT%H:00', day: '%Y-%m-%d', week: '%Y-%m-%d', month: '%Y-%m' };
+
+// Referrer hostname from the stored referer URL ("direct" when there is none)
+const REFERRER_HOST_EXPRESSION = {
+  $let: {
+    vars: { match: { $regexFind: { input: { $ifNull: ['$referer', ''] }, regex: '^[a-z][a-z0-9+.-]*://([^/:?#]+)', options: 'i' } } },
+    in: { $toLower: { $ifNull: [{ $arrayElemAt: ['$$match.captures', 0] }, 'direct'] } }
+  }
+};
+
+// ClickEvent field (or expression) behind each breakdown dimension
+const ANALYTICS_DIMENSIONS = {
+  country: '$country',
+  region: '$region',
+  city: '$city',
+  browser: '$browser',
+  os: '$os',
+  device: '$device',
+  language: '$language',
+  referrer: REFERRER_HOST_EXPRESSION,
+  utmSource: '$utmSource',
+  utmMedium: '$utmMedium',
+  utmCampaign: '$utmCampaign',
+  utmTerm: '$utmTerm',
+  utmContent: '$utmContent',
+  matchedRule: '$matchedRule',
+  variant: '$variant',
+  deepLinkPath: '$deepLinkPath',
+  channel: '$channel'
+};
+
+function parseDimension(value) {
+  if (!Object.hasOwn(ANALYTICS_DIMENSIONS, value)) {
+    throw new ValidationError(`Dimension must be one of ${Object.keys(ANALYTICS_DIMENSIONS).join(', ')}`);
+  }
+  return { name: value, expression: { $ifNull: [ANALYTICS_DIMENSIONS[value], 'Unknown'] } };
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock time of an instant in a time zone, as a Date whose UTC fields hold the local values
+function toZonedWallTime(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+}
+
+// Instant of a wall-clock time in a time zone (inverse of toZonedWallTime)
+function fromZonedWallTime(wallTime, timeZone) {
+  const guess = new Date(wallTime.getTime() - (toZonedWallTime(wallTime, timeZone) - wallTime));
+  return new Date(guess.getTime() - (toZonedWallTime(guess, timeZone) - wallTime));
+}
+
+// A range bound: a duration back from now ("7d", "12h"), a date (midnight in the time zone;
+// as the end of a range the whole day is included) or an ISO date-time
+function parseRangeTime(value, name, timeZone, now, isEnd) {
+  const input = String(value).trim();
+
+  const duration = /^(\d+)\s*([mhdw])$/i.exec(input);
+  if (duration) {
+    return new Date(now.getTime() - parseInt(duration[1]) * DURATION_UNITS_MS[duration[2].toLowerCase()]);
+  }
+
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(input);
+  if (day) {
+    const wallTime = new Date(Date.UTC(parseInt(day[1]), parseInt(day[2]) - 1, parseInt(day[3]) + (isEnd ? 1 : 0)));
+    return fromZonedWallTime(wallTime, timeZone);
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}T/.test(input)) {
+    const date = new Date(input);
+    if (!isNaN(date.getTime())) return date;
+  }
+
+  throw new ValidationError(`${name} must be a date (2024-01-31), a date-time or a duration like 7d`);
+}
+
+// from/to/tz query parameters; the default range is the last 30 days
+function parseAnalyticsRange(query, now = new Date()) {
+  const timeZone = query.tz || 'UTC';
+  if (!isValidTimeZone(timeZone)) {
+    throw new ValidationError('tz must be an IANA time zone like America/New_York');
+  }
+  const to = query.to ? parseRangeTime(query.to, 'to', timeZone, now, true) : now;
+  const from = query.from ? parseRangeTime(query.from, 'from', timeZone, now, false) : new Date(to.getTime() - DEFAULT_ANALYTICS_RANGE_MS);
+  if (from >= to) {
+    throw new ValidationError('from must be before to');
+  }
+  return { from, to, timeZone };
+}
+
+function truncateWallTime(wallTime, interval) {
+  const date = new Date(wallTime);
+  date.setUTCMinutes(0, 0, 0);
+  if (interval !== 'hour') date.setUTCHours(0);
+  if (interval === 'week') date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  if (interval === 'month') date.setUTCDate(1);
+  return date;
+}
+
+function nextWallTime(wallTime, interval) {
+  const date = new Date(wallTime);
+  if (interval === 'hour') date.setUTCHours(date.getUTCHours() + 1);
+  if (interval === 'day') date.setUTCDate(date.getUTCDate() + 1);
+  if (interval === 'week') date.setUTCDate(date.getUTCDate() + 7);
+  if (interval === 'month') date.setUTCMonth(date.getUTCMonth() + 1);
+  return date;
+}
+
+function formatBucketLabel(wallTime, interval) {
+  const iso = wallTime.toISOString();
+  if (interval === 'hour') return `${iso.slice(0, 13)}:00`;
+  if (interval === 'month') return iso.slice(0, 7);
+  return iso.slice(0, 10);
+}
+
+// Every bucket label in the range, so buckets without clicks can be returned as zero
+function getBucketLabels(from, to, interval, timeZone) {
+  const labels = [];
+  const end = toZonedWallTime(new Date(to.getTime() - 1), timeZone);
+  for (let wallTime = truncateWallTime(toZonedWallTime(from, timeZone), interval); wallTime <= end; wallTime = nextWallTime(wallTime, interval)) {
+    labels.push(formatBucketLabel(wallTime, interval));
+    if (labels.length > MAX_TIMESERIES_BUCKETS) {
+      throw new ValidationError(`Range has more than ${MAX_TIMESERIES_BUCKETS} ${interval} buckets, use a longer interval`);
     }
-    
-    // Enhanced analytics: Unique visitors
-    if (clientData.visitorId) {
-      const uniqueVisitors = url.analytics.uniqueVisitors || {};
-      uniqueVisitors[clientData.visitorId] = (uniqueVisitors[clientData.visitorId] || 0) + 1;
-      url.analytics.uniqueVisitors = uniqueVisitors;
+  }
+  // Repeated local hours at the end of daylight saving time share one label
+  return [...new Set(labels)];
+}
+
+// Clicks over time (GET /api/analytics/:slug/timeseries?from=7d&interval=day&tz=America/New_York).
+// With ?dimension= there is one series per value (top `limit` values by clicks).
+// Bots and repeat clicks are left out unless ?raw=true.
+app.get('/api/analytics/:slug/timeseries', ensureMongoConnection, requireAuth, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const domain = await getRequestDomain(req);
+
+    const url = await URL.findOne({ slug, domain, ...ownerFilter(req) }).select('_id');
+    if (!url) {
+      return res.status(404).json({ message: 'URL not found' });
     }
-    
-    // Enhanced analytics: Dark/Light mode preference
-    if (clientData.prefersDarkMode !== undefined) {
-      if (clientData.prefersDarkMode) {
-        url.analytics.darkModeUsers = (url.analytics.darkModeUsers || 0) + 1;
-      } else {
-        url.analytics.lightModeUsers = (url.analytics.lightModeUsers || 0) + 1;
+
+    const interval = req.query.interval || 'day';
+    if (!TIMESERIES_INTERVALS.includes(interval)) {
+      return res.status(400).json({ message: `Interval must be one of ${TIMESERIES_INTERVALS.join(', ')}` });
+    }
+
+    let range;
+    let dimension = null;
+    let labels;
+    try {
+      range = parseAnalyticsRange(req.query);
+      if (req.query.dimension) dimension = parseDimension(req.query.dimension);
+      labels = getBucketLabels(range.from, range.to, interval, range.timeZone);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      return res.status(400).json({ message: error.message });
+    }
+    const { from, to, timeZone } = range;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+
+    const bucket = {
+      $dateToString: {
+        date: { $dateTrunc: { date: '$timestamp', unit: interval, timezone: timeZone, startOfWeek: 'monday' } },
+        format: TIMESERIES_LABEL_FORMATS[interval],
+        timezone: timeZone
       }
+    };
+    const rows = await ClickEvent.aggregate([
+      { $match: { slug, domain, timestamp: { $gte: from, $lt: to }, ...countedEventsFilter(req.query) } },
+      { $group: { _id: { bucket, key: dimension ? dimension.expression : null }, clicks: { $sum: 1 } } }
+    ]);
+
+    const toPoints = (counts) => labels.map(label => ({ bucket: label, clicks: counts.get(label) || 0 }));
+    const total = rows.reduce((sum, row) => sum + row.clicks, 0);
+    const response = { slug, from, to, interval, tz: timeZone, total };
+
+    if (!dimension) {
+      response.points = toPoints(new Map(rows.map(row => [row._id.bucket, row.clicks])));
+      return res.json(response);
     }
-    
-    // Update UTM parameters (from client data or query params)
-    const utmSource = clientData.utmSource || req.query.utm_source;
-    const utmMedium = clientData.utmMedium || req.query.utm_medium;
-    const utmCampaign = clientData.utmCampaign || req.query.utm_campaign;
-    const utmTerm = clientData.utmTerm || req.query.utm_term;
-    const utmContent = clientData.utmContent || req.query.utm_content;
-    
-    if (utmSource) {
-      const utmSources = url.analytics.utmSources || {};
-      utmSources[utmSource] = (utmSources[utmSource] || 0) + 1;
-      url.analytics.utmSources = utmSources;
+
+    const byKey = new Map();
+    for (const row of rows) {
+      const key = String(row._id.key);
+      if (!byKey.has(key)) byKey.set(key, { total: 0, counts: new Map() });
+      const entry = byKey.get(key);
+      entry.total += row.clicks;
+      entry.counts.set(row._id.bucket, row.clicks);
     }
-    if (utmMedium) {
-      const utmMediums = url.analytics.utmMediums || {};
-      utmMediums[utmMedium] = (utmMediums[utmMedium] || 0) + 1;
-      url.analytics.utmMediums = utmMediums;
+    response.dimension = dimension.name;
+    response.series = [...byKey.entries()]
+      .sort((a, b) => b[1].total - a[1].total)
+      .slice(0, limit)
+      .map(([key, entry]) => ({ key, total: entry.total, points: toPoints(entry.counts) }));
+    return res.json(response);
+
+  } catch (error) {
+    console.error('Error getting analytics time series:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Clicks per value of one dimension within a range (GET /api/analytics/:slug/breakdown?dimension=country&from=7d)
+// Bots and repeat clicks are left out unless ?raw=true.
+app.get('/api/analytics/:slug/breakdown', ensureMongoConnection, requireAuth, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const domain = await getRequestDomain(req);
+
+    const url = await URL.findOne({ slug, domain, ...ownerFilter(req) }).select('_id');
+    if (!url) {
+      return res.status(404).json({ message: 'URL not found' });
     }
-    if (utmCampaign) {
-      const utmCampaigns = url.analytics.utmCampaigns || {};
-      utmCampaigns[utmCampaign] = (utmCampaigns[utmCampaign] || 0) + 1;
-      url.analytics.utmCampaigns = utmCampaigns;
+
+    let range;
+    let dimension;
+    try {
+      range = parseAnalyticsRange(req.query);
+      dimension = parseDimension(req.query.dimension);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      return res.status(400).json({ message: error.message });
     }
-    
-    // Time-based analytics
-    const now = new Date();
-    const today = now.toISOString().split('T')[0];
-    const hour = now.getHours();
-    const dayOfWeek = now.getDay(); // 0 = Sunday, 6 = Saturday
-    
-    const clicksByDate = url.analytics.clicksByDate || {};
-    clicksByDate[today] = (clicksByDate[today] || 0) + 1;
-    url.analytics.clicksByDate = clicksByDate;
-    
-    const clicksByHour = url.analytics.clicksByHour || {};
-    clicksByHour[hour] = (clicksByHour[hour] || 0) + 1;
-    url.analytics.clicksByHour = clicksByHour;
-    
-    const clicksByDayOfWeek = url.analytics.clicksByDayOfWeek || {};
-    clicksByDayOfWeek[dayOfWeek] = (clicksByDayOfWeek[dayOfWeek] || 0) + 1;
-    url.analytics.clicksByDayOfWeek = clicksByDayOfWeek;
-    
-    // Mark analytics as modified to ensure Mongoose saves nested object changes
-    url.markModified('analytics');
-    url.markModified('analytics.countries');
-    url.markModified('analytics.regions');
-    url.markModified('analytics.cities');
-    url.markModified('analytics.timezones');
-    url.markModified('analytics.browsers');
-    url.markModified('analytics.os');
-    url.markModified('analytics.devices');
-    url.markModified('analytics.screenResolutions');
-    url.markModified('analytics.languages');
-    url.markModified('analytics.platforms');
-    url.markModified('analytics.inAppBrowsers');
-    url.markModified('analytics.connectionTypes');
-    url.markModified('analytics.uniqueVisitors');
-    
-    await url.save();
-    
-    // Create detailed click event record
-    const clickEvent = new ClickEvent({
+    const { from, to, timeZone } = range;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 500);
+
+    const match = { slug, domain, timestamp: { $gte: from, $lt: to }, ...countedEventsFilter(req.query) };
+    const [values, total] = await Promise.all([
+      ClickEvent.aggregate([
+        { $match: match },
+        { $group: { _id: dimension.expression, clicks: { $sum: 1 } } },
+        { $sort: { clicks: -1, _id: 1 } },
+        { $limit: limit }
+      ]),
+      ClickEvent.countDocuments(match)
+    ]);
+
+    return res.json({
       slug,
-      timestamp: now,
-      ip: clientData.clientIp || (ip && typeof ip === 'string') ? ip.split(',')[0].trim() : null,
-      userAgent,
-      referer,
-      browser,
-      browserVersion,
-      os,
-      osVersion,
-      device,
-      deviceModel,
-      country: country || null,
-      region: region || null,
-      city: city || null,
-      screenWidth: clientData.screenWidth || null,
-      screenHeight: clientData.screenHeight || null,
-      language: acceptLanguage ? acceptLanguage.split(',')[0].split('-')[0].trim() : null,
-      timezone: clientData.timezone || null,
-      utmSource: utmSource || null,
-      utmMedium: utmMedium || null,
-      utmCampaign: utmCampaign || null,
-      utmTerm: utmTerm || null,
-      utmContent: utmContent || null,
-      hourOfDay: hour,
-      dayOfWeek: dayOfWeek,
-      isMobile,
-      isTablet,
-      isDesktop
+      from,
+      to,
+      tz: timeZone,
+      dimension: dimension.name,
+      total,
+      values: values.map(value => ({ key: String(value._id), clicks: value.clicks }))
     });
-    
-    await clickEvent.save();
-    
+
+  } catch (error) {
+    console.error('Error getting analytics breakdown:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ==================== UNIQUE VISITORS ====================
+
+// Unique visitors are counted with HyperLogLog: each link-day keeps at most 2^HLL_PRECISION small
+// registers however many visitors it gets, and sketches merge to count visitors over any range
+// (standard error about 1.04 / sqrt(2^HLL_PRECISION), ~2.3%)
+const HLL_PRECISION = 11;
+const HLL_REGISTERS = 2 ** HLL_PRECISION;
+
+// Register and rank of a visitor. Only these two small numbers are stored, so the sketches
+// can't be traced back to a visitor.
+function hashVisitor(visitorKey) {
+  const hash = crypto.createHash('sha256').update(String(visitorKey)).digest();
+  return {
+    index: hash.readUInt32BE(0) >>> (32 - HLL_PRECISION),
+    rank: Math.clz32(hash.readUInt32BE(4)) + 1
+  };
+}
+
+// Add a visitor to a link's sketch for the day. $max keeps concurrent updates safe.
+async function recordUniqueVisitor(urlId, visitorKey, day) {
+  try {
+    const { index, rank } = hashVisitor(visitorKey);
+    await VisitorSketch.updateOne(
+      { url: urlId, day },
+      { $max: { [`registers.${index}`]: rank } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('Error recording unique visitor:', error);
+  }
+}
+
+function mergeSketch(registers, stored = {}) {
+  for (const [index, rank] of Object.entries(stored)) {
+    if (rank > registers[index]) registers[index] = rank;
+  }
+}
+
+function estimateCardinality(registers) {
+  let sum = 0;
+  let zeros = 0;
+  for (const rank of registers) {
+    sum += 2 ** -rank;
+    if (rank === 0) zeros++;
+  }
+  const alpha = 0.7213 / (1 + 1.079 / HLL_REGISTERS);
+  const estimate = alpha * HLL_REGISTERS * HLL_REGISTERS / sum;
+  // Small ranges are more accurate with linear counting
+  if (estimate <= 2.5 * HLL_REGISTERS && zeros > 0) {
+    return Math.round(HLL_REGISTERS * Math.log(HLL_REGISTERS / zeros));
+  }
+  return Math.round(estimate);
+}
+
+// Distinct visitors across every sketch matching filter (one link or many, any days)
+async function countUniqueVisitors(filter) {
+  const registers = new Uint8Array(HLL_REGISTERS);
+  const cursor = VisitorSketch.find(filter).select('registers').lean().cursor();
+  for await (const sketch of cursor) {
+    mergeSketch(registers, sketch.registers);
+  }
+  return estimateCardinality(registers);
+}
+
+// Links used to keep every visitor ID in analytics.uniqueVisitors. Fold those maps into a sketch
+// without a day (counted by ranges that reach back to the link's creation) and drop them.
+async function migrateUniqueVisitorMaps() {
+  // The map is no longer in the schema, so go through the driver
+  const cursor = URL.collection.find(
+    { 'analytics.uniqueVisitors': { $exists: true } },
+    { projection: { 'analytics.uniqueVisitors': 1 } }
+  );
+  let migrated = 0;
+  for await (const url of cursor) {
+    const $max = {};
+    for (const key of Object.keys(url.analytics.uniqueVisitors || {})) {
+      const { index, rank } = hashVisitor(decodeAnalyticsKey(key));
+      $max[`registers.${index}`] = Math.max($max[`registers.${index}`] || 0, rank);
+    }
+    if (Object.keys($max).length > 0) {
+      await VisitorSketch.updateOne({ url: url._id, day: null }, { $max }, { upsert: true });
+    }
+    await URL.collection.updateOne({ _id: url._id }, { $unset: { 'analytics.uniqueVisitors': '' } });
+    migrated++;
+  }
+  if (migrated > 0) {
+    console.log(`Migrated unique visitors of ${migrated} links to sketches`);
+  }
+}
+
+// Unique visitors per UTC day and over the whole range (GET /api/analytics/:slug/visitors?from=30d).
+// Only clicks that are reported count (see classifyBot).
+app.get('/api/analytics/:slug/visitors', ensureMongoConnection, requireAuth, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const domain = await getRequestDomain(req);
+
+    const url = await URL.findOne({ slug, domain, ...ownerFilter(req) }).select('_id createdAt');
+
+    if (!url) {
+      return res.status(404).json({ message: 'URL not found' });
+    }
+
+    let range;
+    try {
+      range = parseAnalyticsRange({ ...req.query, tz: 'UTC' });
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      return res.status(400).json({ message: error.message });
+    }
+    const { from, to } = range;
+
+    const days = [];
+    for (let day = truncateWallTime(from, 'day'); day < to; day = nextWallTime(day, 'day')) {
+      days.push(day.toISOString().split('T')[0]);
+    }
+    if (days.length > MAX_TIMESERIES_BUCKETS) {
+      return res.status(400).json({ message: `Range covers more than ${MAX_TIMESERIES_BUCKETS} days` });
+    }
+
+    const sketches = await VisitorSketch.find({ url: url._id, day: { $in: days } }).select('day registers').lean();
+    const byDay = new Map(sketches.map(sketch => [sketch.day, sketch.registers]));
+    const total = new Uint8Array(HLL_REGISTERS);
+
+    const points = days.map(day => {
+      const registers = new Uint8Array(HLL_REGISTERS);
+      mergeSketch(registers, byDay.get(day));
+      mergeSketch(total, byDay.get(day));
+      return { day, uniqueVisitors: estimateCardinality(registers) };
+    });
+
+    // Migrated visitors have no day; they belong to any range starting at or before creation
+    if (from <= url.createdAt) {
+      const legacy = await VisitorSketch.findOne({ url: url._id, day: null }).select('registers').lean();
+      if (legacy) mergeSketch(total, legacy.registers);
+    }
+
+    return res.json({
+      slug,
+      from,
+      to,
+      uniqueVisitors: estimateCardinality(total),
+      points
+    });
+
+  } catch (error) {
+    console.error('Error getting unique visitors:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const CLICK_EXPORT_COLUMNS = [
+  'timestamp', 'slug', 'domain', 'source', 'channel', 'country', 'region', 'city',
+  'browser', 'browserVersion', 'os', 'osVersion', 'device', 'deviceModel', 'isMobile', 'isTablet', 'isDesktop',
+  'referer', 'language', 'timezone', 'screenWidth', 'screenHeight',
+  'utmSource', 'utmMedium', 'utmCampaign', 'utmTerm', 'utmContent',
+  'matchedRule', 'variant', 'deepLinkPath', 'isBot', 'botType', 'duplicate', 'ip', 'userAgent'
+];
+// Visitor identifiers are only exported when asked for by name
+const DEFAULT_CLICK_EXPORT_COLUMNS = CLICK_EXPORT_COLUMNS.filter(column => !['ip', 'userAgent'].includes(column));
+const FILE_EXPORT_COLUMNS = ['date', 'slug', 'domain', 'originalName', 'views', 'downloads'];
+
+function parseExportFormat(value) {
+  const format = value || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ValidationError(`Format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+function parseExportColumns(value, allowed, defaults) {
+  if (!value) return defaults;
+  const columns = [...new Set(String(value).split(',').map(column => column.trim()).filter(Boolean))];
+  const unknown = columns.filter(column => !allowed.includes(column));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown columns: ${unknown.join(', ')}. Available: ${allowed.join(', ')}`);
+  }
+  return columns.length > 0 ? columns : defaults;
+}
+
+// Optional from/to bounds (same formats as the time series API), as a { $gte, $lt } condition
+function parseExportRange(query) {
+  const timeZone = query.tz || 'UTC';
+  if (!isValidTimeZone(timeZone)) {
+    throw new ValidationError('tz must be an IANA time zone like America/New_York');
+  }
+  const now = new Date();
+  const range = {};
+  if (query.from) range.$gte = parseRangeTime(query.from, 'from', timeZone, now, false);
+  if (query.to) range.$lt = parseRangeTime(query.to, 'to', timeZone, now, true);
+  return Object.keys(range).length > 0 ? range : null;
+}
+
+// Links or files in an export scope: one item (?slug=), a tag or folder, or the whole account
+async function getExportScopeFilter(req) {
+  const filter = ownerFilter(req);
+  if (req.query.slug) {
+    filter.slug = String(req.query.slug);
+    filter.domain = await getRequestDomain(req);
+  }
+  const tags = parseTags(req.query.tag);
+  if (tags.length > 0) filter.tags = { $all: tags };
+  if (req.query.folder !== undefined) filter.folder = parseFolder(req.query.folder);
+  return filter;
+}
+
+// Stream rows from a database cursor as CSV or NDJSON. Writes wait for the client to drain,
+// so memory use stays flat however many rows there are. toRows turns one document into rows.
+async function streamExport(res, cursor, { format, columns, filename, toRows }) {
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = !res.writableEnded;
+  });
+
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  if (format === 'csv') res.write(`${columns.join(',')}\r\n`);
+
+  try {
+    for await (const doc of cursor) {
+      if (clientGone) break;
+      for (const row of toRows(doc)) {
+        const line = format === 'csv'
+          ? `${columns.map(column => csvEscape(row[column])).join(',')}\r\n`
+          : `${JSON.stringify(Object.fromEntries(columns.map(column => [column, row[column] ?? null])))}\n`;
+        if (!res.write(line)) {
+          await new Promise(resolve => {
+            const done = () => {
+              res.off('drain', done);
+              res.off('close', done);
+              resolve();
+            };
+            res.on('drain', done);
+            res.on('close', done);
+          });
+        }
+      }
+    }
+    res.end();
+  } catch (error) {
+    // Headers are gone already; cut the download so a partial file isn't mistaken for a full one
+    console.error('Error streaming export:', error);
+    res.destroy(error);
+  } finally {
+    await cursor.close();
+  }
+}
+
+// Export click events (?format=csv|ndjson, ?slug= or ?tag= / ?folder= for a subset of links,
+// ?from= / ?to= / ?tz= for a date range, ?columns= to pick columns)
+app.get('/api/export/clicks', ensureMongoConnection, requireAuth, async (req, res) => {
+  try {
+    let format;
+    let columns;
+    let range;
+    let scope;
+    try {
+      format = parseExportFormat(req.query.format);
+      columns = parseExportColumns(req.query.columns, CLICK_EXPORT_COLUMNS, DEFAULT_CLICK_EXPORT_COLUMNS);
+      range = parseExportRange(req.query);
+      scope = await getExportScopeFilter(req);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      return res.status(400).json({ message: error.message });
+    }
+
+    const linkFilter = await getLinkEventFilter(scope);
+    if (req.query.slug && !linkFilter) {
+      return res.status(404).json({ message: 'URL not found' });
+    }
+    const filter = { ...(linkFilter || { _id: null }) };
+    if (range) filter.timestamp = range;
+
+    const cursor = ClickEvent.find(filter)
+      .sort({ timestamp: 1 })
+      .select(columns.join(' '))
+      .lean()
+      .cursor({ batchSize: 1000 });
+
+    return await streamExport(res, cursor, {
+      format,
+      columns,
+      filename: `clicks-${req.query.slug || 'export'}-${new Date().toISOString().split('T')[0]}`,
+      toRows: (event) => [{ ...event, domain: event.domain || DEFAULT_HOSTNAME }]
+    });
+
+  } catch (error) {
+    console.error('Error exporting clicks:', error);
+    if (res.headersSent) return res.destroy(error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Export daily file activity: one row per file and day with views and downloads
+// (same parameters as the click export)
+app.get('/api/export/files', ensureMongoConnection, requireAuth, async (req, res) => {
+  try {
+    let format;
+    let columns;
+    let range;
+    let scope;
+    try {
+      format = parseExportFormat(req.query.format);
+      columns = parseExportColumns(req.query.columns, FILE_EXPORT_COLUMNS, FILE_EXPORT_COLUMNS);
+      range = parseExportRange(req.query);
+      scope = await getExportScopeFilter(req);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (req.query.slug && !(await File.exists(scope))) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    // Daily counts are stored per UTC date
+    const fromDay = range?.$gte ? range.$gte.toISOString().split('T')[0] : null;
+    const toDay = range?.$lt ? range.$lt.toISOString().split('T')[0] : null;
+    const inRange = (day) => (!fromDay || day >= fromDay) && (!toDay || day < toDay);
+
+    const cursor = File.find(scope)
+      .sort({ createdAt: 1 })
+      .select('slug domain originalName analytics.viewsByDate analytics.downloadsByDate')
+      .lean()
+      .cursor({ batchSize: 200 });
+
+    return await streamExport(res, cursor, {
+      format,
+      columns,
+      filename: `files-${req.query.slug || 'export'}-${new Date().toISOString().split('T')[0]}`,
+      toRows: (file) => {
+        const views = file.analytics?.viewsByDate || {};
+        const downloads = file.analytics?.downloadsByDate || {};
+        return [...new Set([...Object.keys(views), ...Object.keys(downloads)])]
+          .filter(inRange)
+          .sort()
+          .map(date => ({
+            date,
+            slug: file.slug,
+            domain: file.domain || DEFAULT_HOSTNAME,
+            originalName: file.originalName,
+            views: views[date] || 0,
+            downloads: downloads[date] || 0
+          }));
+      }
+    });
+
   } catch (error) {
-    console.error('Error tracking analytics:', error);
+    console.error('Error exporting file activity:', error);
+    if (res.headersSent) return res.destroy(error);
+    return res.status(500).json({ message: 'Server error' });
   }
-}
+});
 
-// Get URL by slug (no tracking here - tracking is done via POST /api/analytics/:slug)
-app.get('/api/url/:slug', ensureMongoConnection, async (req, res) => {
+// Delete a URL
+app.delete('/api/url/:slug', ensureMongoConnection, requireAuth, async (req, res) => {
   try {
     const { slug } = req.params;
+    const domain = await getRequestDomain(req);
     
-    const url = await URL.findOne({ slug });
+    const url = await URL.findOneAndDelete({ slug, domain, ...ownerFilter(req) }, { projection: { _id: 1 } });
     
     if (!url) {
       return res.status(404).json({ message: 'URL not found' });
     }
-
-    // Check if URL has expired
-    if (url.expiresAt && new Date() > url.expiresAt) {
-      return res.status(410).json({ message: 'This link has expired' });
-    }
     
-    // Don't track analytics here - it's done via POST /api/analytics/:slug
-    // This prevents double counting (server fetch + client POST)
+    await URLRevision.deleteMany({ url: url._id });
+    await VisitorSketch.deleteMany({ url: url._id });
     
-    return res.json({ originalUrl: url.originalUrl });
+    return res.json({ message: 'URL deleted successfully' });
     
   } catch (error) {
-    console.error('Error redirecting:', error);
+    console.error('Error deleting URL:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Track comprehensive analytics from client-side
-app.post('/api/analytics/:slug', ensureMongoConnection, async (req, res) => {
+// ==================== URL EDITING ====================
+
+// Fields that can be changed through PATCH /api/url/:slug, with the parser for each input.
+// Parsers return the value to store or throw a ValidationError.
+const editableUrlFields = {
+  originalUrl: (value) => normalizeUrl(value),
+  expiresAt: (value) => parseFutureTime(value, 'Expiration'),
+  activatesAt: (value) => parseFutureTime(value, 'Activation'),
+  maxClicks: (value) => parseLimit(value, 'Maximum clicks'),
+  targetingRules: (value) => parseTargetingRules(value),
+  variants: (value) => parseVariants(value),
+  deepLinks: (value) => parseDeepLinks(value),
+  redirectType: (value) => {
+    const status = parseInt(value);
+    if (!REDIRECT_TYPES.includes(status)) {
+      throw new ValidationError(`Redirect type must be one of ${REDIRECT_TYPES.join(', ')}`);
+    }
+    return status;
+  },
+  title: (value) => parseTitle(value),
+  tags: (value) => parseTags(value),
+  folder: (value) => parseFolder(value),
+  queryPassthrough: (value) => parseQueryPassthrough(value),
+  preview: (value, user) => parsePreview(value, user)
+};
+
+// Editable fields holding destinations (see getUrlDestinations)
+const DESTINATION_FIELDS = ['originalUrl', 'targetingRules', 'variants', 'deepLinks'];
+
+// Compare stored values (dates, numbers, strings, plain objects)
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Error for an edit that lost a race with another edit of the same URL
+class RevisionConflictError extends Error {
+  constructor() {
+    super('This link was changed by someone else, please reload and try again');
+    this.name = 'RevisionConflictError';
+  }
+}
+
+// Apply already-parsed field values to a URL and record the change as a new revision.
+// Returns the new revision, or null when nothing changed.
+async function applyUrlChanges(url, values, user, rollbackOf = null) {
+  const current = url.toObject();
+  const changes = Object.entries(values)
+    .filter(([field, value]) => !sameValue(current[field], value))
+    .map(([field, value]) => ({ field, oldValue: current[field] ?? null, newValue: value }));
+
+  if (changes.length === 0) return null;
+
+  const $set = Object.fromEntries(changes.map(change => [change.field, change.newValue]));
+
+  // New destinations must pass the blocklist. A link disabled by the blocklist is
+  // re-enabled once all its destinations are allowed again.
+  if (changes.some(change => DESTINATION_FIELDS.includes(change.field))) {
+    await assertDestinationsAllowed(getUrlDestinations({ ...current, ...values }));
+    if (current.disabledRule) {
+      Object.assign($set, { disabled: false, disabledReason: null, disabledRule: null });
+    }
+  }
+
+  // A new destination hasn't been checked yet
+  if (changes.some(change => change.field === 'originalUrl')) {
+    Object.assign($set, { 'health.status': 'unknown', 'health.lastCheckedAt': null, 'health.consecutiveFailures': 0 });
+  }
+
+  // Only update if nobody else edited the URL since it was read
+  const updated = await URL.findOneAndUpdate(
+    { _id: url._id, revision: url.revision || 0 },
+    { $set, $inc: { revision: 1 } },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw new RevisionConflictError();
+  }
+
+  const revision = await URLRevision.create({
+    url: url._id,
+    slug: url.slug,
+    revision: updated.revision,
+    changedBy: user ? user._id : null,
+    changes,
+    rollbackOf
+  });
+
+  return { url: updated, revision };
+}
+
+// Representation of an editable URL
+function serializeUrl(url) {
+  return {
+    slug: url.slug,
+    originalUrl: url.originalUrl,
+    domain: url.domain || DEFAULT_HOSTNAME,
+    shortUrl: buildShortUrl(url.domain, url.slug),
+    createdAt: url.createdAt,
+    activatesAt: url.activatesAt,
+    expiresAt: url.expiresAt,
+    status: getScheduleStatus(url),
+    redirectType: url.redirectType,
+    maxClicks: url.maxClicks,
+    disabled: url.disabled || false,
+    disabledReason: url.disabledReason || null,
+    targetingRules: url.targetingRules || [],
+    variants: url.variants || [],
+    deepLinks: url.deepLinks,
+    revision: url.revision || 0,
+    title: url.title || null,
+    tags: url.tags || [],
+    folder: url.folder || null,
+    queryPassthrough: url.queryPassthrough || { mode: 'off', conflict: 'link' },
+    preview: url.preview || null,
+    clicks: countedClickCount(url),
+    rawClicks: url.clicks
+  };
+}
+
+// Edit a URL (destination, expiration and settings)
+app.patch('/api/url/:slug', ensureMongoConnection, requireAuth, async (req, res) => {
   try {
     const { slug } = req.params;
-    const clientData = req.body;
-    
-    const url = await URL.findOne({ slug });
-    
+    const domain = await getRequestDomain(req);
+
+    const unknownFields = Object.keys(req.body).filter(field => !Object.hasOwn(editableUrlFields, field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({ message: `Fields cannot be edited: ${unknownFields.join(', ')}` });
+    }
+
+    const values = {};
+    for (const [field, value] of Object.entries(req.body)) {
+      values[field] = await editableUrlFields[field](value, req.user);
+    }
+
+    const url = await URL.findOne({ slug, domain, ...ownerFilter(req) }).select('-analytics');
+
     if (!url) {
       return res.status(404).json({ message: 'URL not found' });
     }
 
-    // Check if URL has expired
-    if (url.expiresAt && new Date() > url.expiresAt) {
-      return res.status(410).json({ message: 'This link has expired' });
+    assertScheduleOrder(
+      'activatesAt' in values ? values.activatesAt : url.activatesAt,
+      'expiresAt' in values ? values.expiresAt : url.expiresAt
+    );
+
+    const result = await applyUrlChanges(url, values, req.user);
+
+    if (!result) {
+      return res.json({ ...serializeUrl(url), changes: [] });
     }
-    
-    // Track comprehensive analytics with client data
-    await trackAnalytics(slug, req, clientData);
-    
-    return res.json({ success: true, message: 'Analytics tracked' });
-    
+
+    return res.json({ ...serializeUrl(result.url), changes: result.revision.changes });
+
   } catch (error) {
-    console.error('Error tracking analytics:', error);
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error instanceof RevisionConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('Error updating URL:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get analytics for a URL
-app.get('/api/analytics/:slug', ensureMongoConnection, async (req, res) => {
+// Get the revision history of a URL (newest first)
+app.get('/api/url/:slug/revisions', ensureMongoConnection, requireAuth, async (req, res) => {
   try {
     const { slug } = req.params;
-    const { includeEvents, limit = 100 } = req.query;
-    
-    const url = await URL.findOne({ slug });
-    
+    const domain = await getRequestDomain(req);
+
+    const url = await URL.findOne({ slug, domain, ...ownerFilter(req) }).select('_id revision');
+
     if (!url) {
       return res.status(404).json({ message: 'URL not found' });
     }
-    
-    // Get all comprehensive analytics
-    const analytics = {
-      referrers: url.analytics.referrers || {},
-      browsers: url.analytics.browsers || {},
-      browserVersions: url.analytics.browserVersions || {},
-      devices: url.analytics.devices || {},
-      deviceModels: url.analytics.deviceModels || {},
-      os: url.analytics.os || {},
-      osVersions: url.analytics.osVersions || {},
-      countries: url.analytics.countries || {},
-      regions: url.analytics.regions || {},
-      cities: url.analytics.cities || {},
-      languages: url.analytics.languages || {},
-      timezones: url.analytics.timezones || {},
-      clicksByDate: url.analytics.clicksByDate || {},
-      clicksByHour: url.analytics.clicksByHour || {},
-      clicksByDayOfWeek: url.analytics.clicksByDayOfWeek || {},
-      screenResolutions: url.analytics.screenResolutions || {},
-      utmSources: url.analytics.utmSources || {},
-      utmMediums: url.analytics.utmMediums || {},
-      utmCampaigns: url.analytics.utmCampaigns || {},
-      deviceTypes: url.analytics.deviceTypes || { mobile: 0, tablet: 0, desktop: 0 },
-      platforms: url.analytics.platforms || {},
-      inAppBrowsers: url.analytics.inAppBrowsers || {},
-      // Enhanced analytics
-      connectionTypes: url.analytics.connectionTypes || {},
-      botClicks: url.analytics.botClicks || 0,
-      humanClicks: url.analytics.humanClicks || 0,
-      uniqueVisitors: url.analytics.uniqueVisitors || {},
-      darkModeUsers: url.analytics.darkModeUsers || 0,
-      lightModeUsers: url.analytics.lightModeUsers || 0
-    };
-    
-    const response = {
-      slug: url.slug,
-      originalUrl: url.originalUrl,
-      shortUrl: `${process.env.BASE_URL || 'https://h4a.us'}/${url.slug}`,
-      createdAt: url.createdAt,
-      expiresAt: url.expiresAt,
-      clicks: url.clicks,
-      analytics
-    };
-    
-    // Optionally include individual click events
-    if (includeEvents === 'true') {
-      const events = await ClickEvent.find({ slug })
-        .sort({ timestamp: -1 })
-        .limit(parseInt(limit))
-        .lean();
-      response.events = events;
-      response.totalEvents = await ClickEvent.countDocuments({ slug });
-    }
-    
-    return res.json(response);
-    
+
+    const revisions = await URLRevision.find({ url: url._id })
+      .sort({ revision: -1 })
+      .populate('changedBy', 'email name')
+      .lean();
+
+    return res.json({
+      slug,
+      currentRevision: url.revision || 0,
+      revisions: revisions.map(revision => ({
+        revision: revision.revision,
+        changedAt: revision.changedAt,
+        changedBy: revision.changedBy
+          ? { id: revision.changedBy._id, email: revision.changedBy.email, name: revision.changedBy.name }
+          : null,
+        changes: revision.changes,
+        rollbackOf: revision.rollbackOf
+      }))
+    });
+
   } catch (error) {
-    console.error('Error getting analytics:', error);
+    console.error('Error getting URL revisions:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get click events for a URL
-app.get('/api/analytics/:slug/events', async (req, res) => {
+// Roll a URL back to the state it had after an earlier revision (0 = as created).
+// The rollback itself is recorded as a new revision.
+app.post('/api/url/:slug/revisions/:revision/rollback', ensureMongoConnection, requireAuth, async (req, res) => {
   try {
     const { slug } = req.params;
-    const { page = 1, limit = 50, startDate, endDate } = req.query;
-    
-    const url = await URL.findOne({ slug });
-    
+    const domain = await getRequestDomain(req);
+    const target = parseInt(req.params.revision);
+
+    const url = await URL.findOne({ slug, domain, ...ownerFilter(req) }).select('-analytics');
+
     if (!url) {
       return res.status(404).json({ message: 'URL not found' });
     }
-    
-    const query = { slug };
-    
-    // Add date range filter if provided
-    if (startDate || endDate) {
-      query.timestamp = {};
-      if (startDate) query.timestamp.$gte = new Date(startDate);
-      if (endDate) query.timestamp.$lte = new Date(endDate);
+
+    if (isNaN(target) || target < 0 || target >= (url.revision || 0)) {
+      return res.status(400).json({ message: 'Revision must be an earlier revision of this link' });
     }
-    
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const events = await ClickEvent.find(query)
-      .sort({ timestamp: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
+
+    // The earliest later change of each field holds the value the field had at the target revision
+    const laterRevisions = await URLRevision.find({ url: url._id, revision: { $gt: target } })
+      .sort({ revision: 1 })
       .lean();
+
+    const values = {};
+    for (const revision of laterRevisions) {
+      for (const change of revision.changes) {
+        if (!(change.field in values)) {
+          values[change.field] = change.oldValue;
+        }
+      }
+    }
+
+    const result = await applyUrlChanges(url, values, req.user, target);
+
+    if (!result) {
+      return res.json({ ...serializeUrl(url), changes: [] });
+    }
+
+    return res.json({ ...serializeUrl(result.url), changes: result.revision.changes });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error instanceof RevisionConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('Error rolling back URL:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Clean up expired URLs (can be run with a cron job)
+app.post('/api/cleanup', async (req, res) => {
+  try {
+    const now = new Date();
+    const expired = await URL.find({ expiresAt: { $lt: now } }).distinct('_id');
+    const result = await URL.deleteMany({ _id: { $in: expired } });
+    // Same as deleting a URL: its revisions and visitor sketches go with it
+    await URLRevision.deleteMany({ url: { $in: expired } });
+    await VisitorSketch.deleteMany({ url: { $in: expired } });
     
-    const totalEvents = await ClickEvent.countDocuments(query);
+    return res.json({ 
+      message: `Deleted ${result.deletedCount} expired URLs` 
+    });
     
-    return res.json({
-      events,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: totalEvents,
-        pages: Math.ceil(totalEvents / parseInt(limit))
-      }
+  } catch (error) {
+    console.error('Error cleaning up expired URLs:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ==================== LISTING ====================
+
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 100;
+
+// Status conditions matching getScheduleStatus
+function statusCondition(status, now) {
+  switch (status) {
+    case 'scheduled':
+      return { activatesAt: { $gt: now } };
+    case 'expired':
+      return { expiresAt: { $lt: now } };
+    case 'active':
+      return {
+        $and: [
+          { $or: [{ activatesAt: null }, { activatesAt: { $lte: now } }] },
+          { $or: [{ expiresAt: null }, { expiresAt: { $gte: now } }] }
+        ]
+      };
+    case 'disabled':
+      return { disabled: true };
+  }
+}
+
+function parseDateParam(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`${name} must be a valid date`);
+  }
+  return date;
+}
+
+// Cursors hold the sort value and _id of the last item on the previous page
+function encodeCursor(sortKey, value, id) {
+  return Buffer.from(JSON.stringify([sortKey, value ?? null, String(id)])).toString('base64url');
+}
+
+function decodeCursor(cursor, sortKey) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    parsed = null;
+  }
+  if (!Array.isArray(parsed) || parsed[0] !== sortKey || !mongoose.isValidObjectId(parsed[2])) {
+    throw new ValidationError('Invalid cursor');
+  }
+  const [, value, id] = parsed;
+  const typedValue = value === null || sortKey === 'clicks' ? value : new Date(value);
+  return { value: typedValue, id: new mongoose.Types.ObjectId(id) };
+}
+
+// Items after the cursor in (field, _id) order. Missing values (e.g. no expiry) sort
+// lowest in MongoDB and need explicit handling since range operators skip null.
+function cursorCondition(field, order, { value, id }) {
+  const after = order === 1 ? '$gt' : '$lt';
+  const sameValue = { [field]: value, _id: { [after]: id } };
+
+  if (value === null) {
+    return order === 1 ? { $or: [sameValue, { [field]: { $ne: null } }] } : sameValue;
+  }
+  const conditions = [sameValue, { [field]: { [after]: value } }];
+  if (order === -1) conditions.push({ [field]: null });
+  return { $or: conditions };
+}
+
+// Shared listing for links and files: filters (tag, folder, status, from/to on createdAt),
+// search, sorting (createdAt, expiry, clicks) and cursor or page pagination.
+async function listDocuments(Model, baseFilter, query, { clicksField, searchFields, statuses, select }) {
+  const now = new Date();
+  const conditions = [baseFilter];
+
+  const tags = parseTags(query.tag || query.tags);
+  if (tags.length > 0) conditions.push({ tags: { $all: tags } });
+
+  // An empty folder parameter lists items without a folder
+  if (query.folder !== undefined) conditions.push({ folder: parseFolder(query.folder) });
+
+  if (query.status) {
+    if (!statuses.includes(query.status)) {
+      throw new ValidationError(`Status must be one of ${statuses.join(', ')}`);
+    }
+    conditions.push(statusCondition(query.status, now));
+  }
+
+  const createdAt = {};
+  if (query.from) createdAt.$gte = parseDateParam(query.from, 'from');
+  if (query.to) createdAt.$lte = parseDateParam(query.to, 'to');
+  if (Object.keys(createdAt).length > 0) conditions.push({ createdAt });
+
+  const search = query.search ? String(query.search).trim() : '';
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    conditions.push({ $or: searchFields.map(field => ({ [field]: pattern })) });
+  }
+
+  const sortFields = { createdAt: 'createdAt', expiry: 'expiresAt', clicks: clicksField };
+  const sortKey = query.sort || 'createdAt';
+  const field = Object.hasOwn(sortFields, sortKey) && sortFields[sortKey];
+  if (!field) {
+    throw new ValidationError(`Sort must be one of ${Object.keys(sortFields).join(', ')}`);
+  }
+  if (query.order && !['asc', 'desc'].includes(query.order)) {
+    throw new ValidationError('Order must be asc or desc');
+  }
+  const order = query.order === 'asc' ? 1 : -1;
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT);
+
+  const filter = { $and: conditions };
+  const pageFilter = query.cursor
+    ? { $and: [...conditions, cursorCondition(field, order, decodeCursor(query.cursor, sortKey))] }
+    : filter;
+  const page = query.cursor ? null : Math.max(parseInt(query.page) || 1, 1);
+
+  const [docs, total] = await Promise.all([
+    Model.find(pageFilter)
+      .sort({ [field]: order, _id: order })
+      .skip(page ? (page - 1) * limit : 0)
+      .limit(limit + 1)
+      .select(select)
+      .lean(),
+    Model.countDocuments(filter)
+  ]);
+
+  const items = docs.slice(0, limit);
+  const last = items[items.length - 1];
+  const pagination = {
+    limit,
+    total,
+    nextCursor: docs.length > limit ? encodeCursor(sortKey, last[field], last._id) : null
+  };
+  if (page) {
+    pagination.page = page;
+    pagination.pages = Math.ceil(total / limit);
+  }
+
+  return { items, pagination };
+}
+
+// Get the URLs of the current user (admins see every URL) as { urls, pagination }.
+// ?format=array returns the page as a bare array, the shape this route had before pagination.
+app.get('/api/urls', ensureMongoConnection, requireAuth, async (req, res) => {
+  try {
+    const { items, pagination } = await listDocuments(URL, ownerFilter(req), req.query, {
+      clicksField: 'countedClicks',
+      searchFields: ['slug', 'originalUrl', 'title'],
+      statuses: ['active', 'scheduled', 'expired', 'disabled'],
+      select: 'slug domain originalUrl title tags folder createdAt activatesAt expiresAt maxClicks disabled disabledReason clicks countedClicks analytics.botClicks health.status health.lastCheckedAt'
     });
+
+    const urls = items.map(url => {
+      const { countedClicks, analytics, ...fields } = url;
+      return {
+        ...fields,
+        clicks: countedClickCount(url),
+        rawClicks: url.clicks,
+        shortUrl: buildShortUrl(url.domain, url.slug),
+        status: getScheduleStatus(url),
+        broken: url.health?.status === 'unhealthy'
+      };
+    });
+    
+    if (req.query.format === 'array') {
+      return res.json(urls);
+    }
+    return res.json({ urls, pagination });
     
   } catch (error) {
-    console.error('Error getting click events:', error);
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error getting all URLs:', error);
     return res.status(500).json({ message: 'Server error' });
   }
-});
+});
+
+// ==================== DESTINATION HEALTH ====================
+
+const HEALTH_CHECK_DEFAULTS = {
+  intervalMs: parseInt(process.env.HEALTH_CHECK_INTERVAL_MS) || 6 * 60 * 60 * 1000,
+  timeoutMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 10 * 1000,
+  concurrency: parseInt(process.env.HEALTH_CHECK_CONCURRENCY) || 5,
+  batchSize: parseInt(process.env.HEALTH_CHECK_BATCH_SIZE) || 200,
+  // Consecutive failed checks before a link counts as unhealthy (one failure may be a blip)
+  failureThreshold: parseInt(process.env.HEALTH_CHECK_FAILURE_THRESHOLD) || 2
+};
+const HEALTH_HISTORY_LENGTH = 20;
+const HEALTH_CHECK_USER_AGENT = 'h4a-link-checker/1.0 (+https://h4a.us)';
+
+// Domain parking and for-sale landing pages that answer 200 for dead sites
+const PARKING_HOSTS = [
+  'sedoparking.com', 'sedo.com', 'parkingcrew.net', 'bodis.com', 'above.com', 'dan.com',
+  'afternic.com', 'hugedomains.com', 'parklogic.com', 'domainmarket.com', 'undeveloped.com'
+];
+
+function isParkingHost(hostname) {
+  return PARKING_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+const MAX_HEALTH_CHECK_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Check failures reported to link owners. Low-level error codes aren't passed on, so results
+// can't be used to map out networks.
+const HEALTH_CHECK_ERRORS = {
+  ENOTFOUND: 'dns', EAI_AGAIN: 'dns', ENODATA: 'dns',
+  ECONNREFUSED: 'connection', ECONNRESET: 'connection', EHOSTUNREACH: 'connection', ENETUNREACH: 'connection', EPIPE: 'connection',
+  EBLOCKED: 'blocked', EREDIRECT: 'invalid-redirect', ETOOMANYREDIRECTS: 'too-many-redirects'
+};
+
+function healthCheckError(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const ipVersion = net.isIP(address);
+  return ipVersion === 0 || privateNetworks.check(address, ipVersion === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup that refuses private, loopback and link-local addresses, so a public hostname
+// pointing into the network can't be used to reach it
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(healthCheckError('EBLOCKED'));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// One request, without following redirects. Only the status and Location matter, the body is discarded.
+function requestOnce(target, method, { signal, allowPrivateAddresses }) {
+  const hostname = target.hostname.replace(/^\[|\]$/g, '');
+  if (!['http:', 'https:'].includes(target.protocol) || target.username || target.password) {
+    return Promise.reject(healthCheckError('EREDIRECT'));
+  }
+  if (!allowPrivateAddresses && net.isIP(hostname) && isPrivateAddress(hostname)) {
+    return Promise.reject(healthCheckError('EBLOCKED'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method,
+      signal,
+      lookup: allowPrivateAddresses ? undefined : publicOnlyLookup,
+      headers: { 'User-Agent': HEALTH_CHECK_USER_AGENT, Accept: '*/*' }
+    }, (response) => {
+      response.destroy();
+      resolve({ statusCode: response.statusCode, location: response.headers.location });
+    });
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+// Follow redirects by hand so every hop gets the same address checks as the first.
+// allowPrivateAddresses is only for tests against a local stand-in.
+async function requestDestination(destination, method, { timeoutMs, allowPrivateAddresses = false }) {
+  const startedAt = Date.now();
+  const signal = AbortSignal.timeout(timeoutMs);
+  let current = new WebURL(destination);
+
+  for (let redirects = 0; ; redirects++) {
+    const { statusCode, location } = await requestOnce(current, method, { signal, allowPrivateAddresses });
+    if (!REDIRECT_STATUSES.includes(statusCode) || !location) {
+      return { statusCode, finalUrl: current.href, responseTimeMs: Date.now() - startedAt };
+    }
+    if (redirects >= MAX_HEALTH_CHECK_REDIRECTS) throw healthCheckError('ETOOMANYREDIRECTS');
+    try {
+      current = new WebURL(location, current);
+    } catch {
+      throw healthCheckError('EREDIRECT');
+    }
+  }
+}
+
+// Check one destination: HEAD first, then GET for servers that reject or break on HEAD
+async function checkDestination(destination, options = {}) {
+  const { timeoutMs = HEALTH_CHECK_DEFAULTS.timeoutMs, allowPrivateAddresses = false } = options;
+  const result = { checkedAt: new Date(), ok: false, statusCode: null, method: 'HEAD', error: null, finalUrl: null, responseTimeMs: null };
+
+  for (const method of ['HEAD', 'GET']) {
+    result.method = method;
+    try {
+      const { statusCode, finalUrl, responseTimeMs } = await requestDestination(destination, method, { timeoutMs, allowPrivateAddresses });
+      Object.assign(result, { statusCode, responseTimeMs, finalUrl, error: null });
+      result.ok = statusCode < 400;
+      if (result.ok || method === 'GET') break;
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+      const code = error.code || error.cause?.code;
+      Object.assign(result, {
+        statusCode: null,
+        finalUrl: null,
+        error: timedOut ? 'timeout' : HEALTH_CHECK_ERRORS[code] || (/CERT|TLS|SSL/.test(code || '') ? 'tls' : 'request-failed')
+      });
+      // A HEAD timeout means the server is slow, GET won't do better. Blocked stays blocked.
+      if (timedOut || result.error === 'blocked') break;
+    }
+  }
+
+  if (result.ok && result.finalUrl) {
+    let hostname = '';
+    try {
+      hostname = new WebURL(result.finalUrl).hostname.toLowerCase();
+    } catch {
+      hostname = '';
+    }
+    if (isParkingHost(hostname)) {
+      Object.assign(result, { ok: false, error: 'parked' });
+    }
+  }
 
-// Delete a URL
-app.delete('/api/url/:slug', async (req, res) => {
-  try {
-    const { slug } = req.params;
-    
-    const result = await URL.deleteOne({ slug });
-    
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ message: 'URL not found' });
+  return result;
+}
+
+// Run tasks with at most `concurrency` in flight
+async function runWithConcurrency(items, concurrency, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index]);
     }
-    
-    return res.json({ message: 'URL deleted successfully' });
-    
-  } catch (error) {
-    console.error('Error deleting URL:', error);
-    return res.status(500).json({ message: 'Server error' });
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+// Record a check result on a link, keeping the last HEALTH_HISTORY_LENGTH results
+async function recordHealthCheck(url, result, failureThreshold) {
+  const consecutiveFailures = result.ok ? 0 : (url.health?.consecutiveFailures || 0) + 1;
+  const status = result.ok ? 'healthy' : consecutiveFailures >= failureThreshold ? 'unhealthy' : (url.health?.status || 'unknown');
+  const $set = {
+    'health.status': status,
+    'health.lastCheckedAt': result.checkedAt,
+    'health.consecutiveFailures': consecutiveFailures
+  };
+  if (result.ok) $set['health.lastHealthyAt'] = result.checkedAt;
+
+  await URL.updateOne(
+    { _id: url._id },
+    { $set, $push: { 'health.history': { $each: [result], $slice: -HEALTH_HISTORY_LENGTH } } }
+  );
+  return status;
+}
+
+// Check the active links that are due (oldest check first). Links sharing a destination
+// are checked once. Returns counts for the run.
+async function runHealthChecks(options = {}) {
+  const settings = { ...HEALTH_CHECK_DEFAULTS, ...options };
+  const now = new Date();
+
+  const urls = await URL.find({
+    disabled: { $ne: true },
+    $and: [
+      { $or: [{ activatesAt: null }, { activatesAt: { $lte: now } }] },
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+      { $or: [{ 'health.lastCheckedAt': null }, { 'health.lastCheckedAt': { $lte: new Date(now.getTime() - settings.intervalMs) } }] }
+    ]
+  })
+    .sort({ 'health.lastCheckedAt': 1 })
+    .limit(settings.batchSize)
+    .select('originalUrl health.status health.consecutiveFailures');
+
+  const destinations = [...new Set(urls.map(url => url.originalUrl))];
+  const results = await runWithConcurrency(destinations, settings.concurrency, destination => checkDestination(destination, settings));
+  const resultsByDestination = new Map(destinations.map((destination, index) => [destination, results[index]]));
+
+  const summary = { checked: urls.length, destinations: destinations.length, healthy: 0, failing: 0, unhealthy: 0 };
+  for (const url of urls) {
+    const result = resultsByDestination.get(url.originalUrl);
+    const status = await recordHealthCheck(url, result, settings.failureThreshold);
+    if (result.ok) summary.healthy++;
+    else summary.failing++;
+    if (status === 'unhealthy') summary.unhealthy++;
   }
-});
+  return summary;
+}
 
-// Clean up expired URLs (can be run with a cron job)
-app.post('/api/cleanup', async (req, res) => {
+// Periodic checks for long-running servers; serverless deployments call the admin endpoint from a cron instead
+let healthCheckRunning = false;
+
+function startHealthChecks(options = {}) {
+  const settings = { ...HEALTH_CHECK_DEFAULTS, ...options };
+  const tick = async () => {
+    if (healthCheckRunning || mongoose.connection.readyState !== 1) return;
+    healthCheckRunning = true;
+    try {
+      const summary = await runHealthChecks(settings);
+      if (summary.checked > 0) {
+        console.log(`Health checks: ${summary.checked} links, ${summary.failing} failing, ${summary.unhealthy} unhealthy`);
+      }
+    } catch (error) {
+      console.error('Error running health checks:', error);
+    } finally {
+      healthCheckRunning = false;
+    }
+  };
+  // Batches are small, so poll more often than the per-link interval to get through every link
+  const timer = setInterval(tick, Math.min(settings.intervalMs, 5 * 60 * 1000));
+  timer.unref();
+  return timer;
+}
+
+// Run a batch of health checks now (admins; also the cron target on serverless deployments)
+app.post('/api/admin/health-checks', ensureMongoConnection, requireAuth, requireAdmin, async (req, res) => {
   try {
-    const now = new Date();
-    const result = await URL.deleteMany({ expiresAt: { $lt: now } });
-    
-    return res.json({ 
-      message: `Deleted ${result.deletedCount} expired URLs` 
-    });
-    
+    if (healthCheckRunning) {
+      return res.status(409).json({ message: 'Health checks are already running' });
+    }
+    healthCheckRunning = true;
+    try {
+      const summary = await runHealthChecks();
+      return res.json(summary);
+    } finally {
+      healthCheckRunning = false;
+    }
   } catch (error) {
-    console.error('Error cleaning up expired URLs:', error);
+    console.error('Error running health checks:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get all URLs (admin endpoint)
-app.get('/api/urls', ensureMongoConnection, async (req, res) => {
+// Links of the current user whose destination is currently failing (admins see every link)
+app.get('/api/urls/unhealthy', ensureMongoConnection, requireAuth, async (req, res) => {
   try {
-    const urls = await URL.find({}, { 
-      slug: 1, 
-      originalUrl: 1, 
-      createdAt: 1, 
-      expiresAt: 1, 
-      clicks: 1 
-    });
-    
-    return res.json(urls);
-    
+    const urls = await URL.find({ ...ownerFilter(req), 'health.status': 'unhealthy' })
+      .sort({ 'health.lastCheckedAt': -1 })
+      .select('slug domain originalUrl title tags folder health')
+      .lean();
+
+    return res.json(urls.map(url => {
+      const { history = [], ...health } = url.health;
+      return {
+        slug: url.slug,
+        domain: url.domain || DEFAULT_HOSTNAME,
+        shortUrl: buildShortUrl(url.domain, url.slug),
+        originalUrl: url.originalUrl,
+        title: url.title || null,
+        tags: url.tags || [],
+        folder: url.folder || null,
+        health: { ...health, lastCheck: history[history.length - 1] || null }
+      };
+    }));
+
   } catch (error) {
-    console.error('Error getting all URLs:', error);
+    console.error('Error getting unhealthy URLs:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
@@ -986,33 +5274,51 @@ app.get('/api/urls', ensureMongoConnection, async (req, res) => {
 // ==================== FILE UPLOAD ENDPOINTS ====================
 
 // Upload a file - stores in MongoDB for fast access
-app.post('/api/upload', ensureMongoConnection, upload.single('file'), async (req, res) => {
+app.post('/api/upload', ensureMongoConnection, optionalAuth, upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
     }
 
-    const { customSlug, password, expiresIn, maxDownloads } = req.body;
-    
-    // Generate or use custom slug
-    let slug = customSlug && customSlug.trim() ? customSlug.trim() : nanoid(8);
-    
-    // Check if slug already exists
-    const existingFile = await File.findOne({ slug });
-    const existingUrl = await URL.findOne({ slug });
-    if (existingFile || existingUrl) {
-      return res.status(400).json({ message: 'This custom path is already taken' });
+    const { customSlug, password, expiresIn, activatesAt, maxDownloads, redirectType } = req.body;
+
+    if (redirectType !== undefined && !REDIRECT_TYPES.includes(parseInt(redirectType))) {
+      return res.status(400).json({ message: `Redirect type must be one of ${REDIRECT_TYPES.join(', ')}` });
     }
 
-    // Calculate expiration
-    let expiresAt = null;
-    if (expiresIn) {
-      const hours = parseInt(expiresIn);
-      if (!isNaN(hours) && hours > 0) {
-        expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+    // Calculate expiration (same formats as links; a bare number is hours) and pick the domain
+    let expiresAt;
+    let activationTime;
+    let domain;
+    let slugOptions;
+    let organization;
+    let downloadLimit;
+    let slug = customSlug ? String(customSlug).trim() : '';
+    const hasCustomSlug = Boolean(slug);
+    try {
+      expiresAt = parseFutureTime(expiresIn, 'Expiration');
+      activationTime = parseFutureTime(activatesAt, 'Activation');
+      assertScheduleOrder(activationTime, expiresAt);
+      downloadLimit = parseLimit(maxDownloads, 'Maximum downloads');
+      domain = await parseDomain(req.body.domain);
+      organization = {
+        title: parseTitle(req.body.title),
+        tags: parseTags(req.body.tags),
+        folder: parseFolder(req.body.folder)
+      };
+      slugOptions = parseSlugOptions(req.body, { ...SLUG_DEFAULTS, length: 8 });
+      if (hasCustomSlug) {
+        validateCustomSlug(slug);
+        await assertSlugAvailable(slug, domain);
+      } else {
+        slug = await generateAvailableSlug(domain, slugOptions);
       }
+    } catch (error) {
+      // Uploads have always reported a taken path as a 400
+      if (!(error instanceof ValidationError) && !(error instanceof SlugTakenError)) throw error;
+      return res.status(400).json({ message: error.message });
     }
-
+    
     // Determine file type
     const fileType = isImage(req.file.mimetype) ? 'image' : 'file';
     
@@ -1022,33 +5328,41 @@ app.post('/api/upload', ensureMongoConnection, upload.single('file'), async (req
     // Store file data in MongoDB
     const newFile = new File({
       slug,
+      domain,
+      owner: req.user ? req.user._id : null,
       originalName: req.file.originalname,
+      ...organization,
       mimeType: req.file.mimetype,
       size: req.file.size,
       type: fileType,
       data: req.file.buffer, // Store binary data directly in MongoDB
       etag,
+      activatesAt: activationTime,
       expiresAt,
       password: password || null,
-      maxDownloads: maxDownloads ? parseInt(maxDownloads) : null
+      maxDownloads: downloadLimit,
+      redirectType: redirectType !== undefined ? parseInt(redirectType) : 302
     });
 
-    await newFile.save();
-    console.log(`File uploaded to DB: ${slug} (${(req.file.size / 1024).toFixed(1)} KB)`);
-
-    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
-    const prefix = fileType === 'image' ? 'i' : 'f';
+    await saveWithUniqueSlug(newFile, hasCustomSlug ? null : slugOptions);
+    console.log(`File uploaded to DB: ${newFile.slug} (${(req.file.size / 1024).toFixed(1)} KB)`);
 
     return res.status(201).json({
-      slug,
-      shortUrl: `${baseUrl}/${prefix}/${slug}`,
+      slug: newFile.slug,
+      domain: domain || DEFAULT_HOSTNAME,
+      shortUrl: buildFileShortUrl(newFile),
       originalName: req.file.originalname,
+      ...organization,
       size: req.file.size,
       type: fileType,
+      activatesAt: activationTime,
       expiresAt
     });
 
   } catch (error) {
+    if (error instanceof SlugTakenError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error uploading file:', error);
     return res.status(500).json({ message: 'Server error' });
   }
@@ -1058,21 +5372,27 @@ app.post('/api/upload', ensureMongoConnection, upload.single('file'), async (req
 app.get('/api/file/:slug', ensureMongoConnection, async (req, res) => {
   try {
     const { slug } = req.params;
+    const domain = await getRequestDomain(req);
     
-    const file = await File.findOne({ slug });
+    const file = await File.findOne({ slug, domain });
     
     if (!file) {
       return res.status(404).json({ message: 'File not found' });
     }
 
-    // Check if file has expired
-    if (file.expiresAt && new Date() > file.expiresAt) {
-      return res.status(410).json({ message: 'This file has expired' });
+    // Check if file has expired or isn't available yet
+    const unavailable = getFileAvailabilityError(file);
+    if (unavailable) {
+      const { status, ...body } = unavailable;
+      return res.status(status).json(body);
     }
 
-    // Increment view count
-    file.views += 1;
-    await file.save();
+    // Increment view count and return the new one
+    const updated = await File.findOneAndUpdate(
+      { _id: file._id },
+      { $inc: { views: 1 } },
+      { new: true, projection: { views: 1 } }
+    );
 
     return res.json({
       slug: file.slug,
@@ -1081,9 +5401,10 @@ app.get('/api/file/:slug', ensureMongoConnection, async (req, res) => {
       size: file.size,
       type: file.type,
       createdAt: file.createdAt,
+      activatesAt: file.activatesAt,
       expiresAt: file.expiresAt,
       downloads: file.downloads,
-      views: file.views,
+      views: updated ? updated.views : file.views + 1,
       hasPassword: !!file.password,
       maxDownloads: file.maxDownloads
     });
@@ -1095,14 +5416,18 @@ app.get('/api/file/:slug', ensureMongoConnection, async (req, res) => {
 });
 
 // Track file analytics from client-side
-app.post('/api/file/:slug/analytics', async (req, res) => {
+app.post('/api/file/:slug/analytics', ensureMongoConnection, async (req, res) => {
   try {
     const { slug } = req.params;
+    const domain = await getRequestDomain(req);
     const clientData = req.body;
     
     console.log('File analytics received for:', slug);
     
-    await trackFileAnalytics(slug, req, clientData);
+    const file = await File.findOne({ slug, domain }).select('_id');
+    if (file) {
+      await trackFileAnalytics(file._id, req, { ...clientData, channel: getVisitChannel(clientData[QR_SOURCE_PARAM]) });
+    }
     
     return res.json({ success: true, message: 'File analytics tracked' });
     
@@ -1113,18 +5438,18 @@ app.post('/api/file/:slug/analytics', async (req, res) => {
 });
 
 // Get file analytics data
-app.get('/api/file/:slug/stats', async (req, res) => {
+app.get('/api/file/:slug/stats', ensureMongoConnection, requireAuth, async (req, res) => {
   try {
     const { slug } = req.params;
+    const domain = await getRequestDomain(req);
     
-    const file = await File.findOne({ slug });
+    const file = await File.findOne({ slug, domain, ...ownerFilter(req) });
     
     if (!file) {
       return res.status(404).json({ message: 'File not found' });
     }
 
-    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
-    const shortUrl = `${baseUrl}/${file.type === 'image' ? 'i' : 'f'}/${file.slug}`;
+    const shortUrl = buildFileShortUrl(file);
 
     return res.json({
       slug: file.slug,
@@ -1134,10 +5459,11 @@ app.get('/api/file/:slug/stats', async (req, res) => {
       type: file.type,
       shortUrl,
       createdAt: file.createdAt,
+      activatesAt: file.activatesAt,
       expiresAt: file.expiresAt,
       downloads: file.downloads,
       views: file.views,
-      analytics: file.analytics
+      analytics: decodeAnalytics(file.analytics)
     });
 
   } catch (error) {
@@ -1150,17 +5476,20 @@ app.get('/api/file/:slug/stats', async (req, res) => {
 app.get('/api/file/:slug/data', ensureMongoConnection, async (req, res) => {
   try {
     const { slug } = req.params;
+    const domain = await getRequestDomain(req);
     const { password } = req.query;
     
-    const file = await File.findOne({ slug });
+    const file = await File.findOne({ slug, domain });
     
     if (!file) {
       return res.status(404).json({ message: 'File not found' });
     }
 
-    // Check if file has expired
-    if (file.expiresAt && new Date() > file.expiresAt) {
-      return res.status(410).json({ message: 'This file has expired' });
+    // Check if file has expired or isn't available yet
+    const unavailable = getFileAvailabilityError(file);
+    if (unavailable) {
+      const { status, ...body } = unavailable;
+      return res.status(status).json(body);
     }
 
     // Check password
@@ -1205,30 +5534,30 @@ app.get('/api/file/:slug/data', ensureMongoConnection, async (req, res) => {
 app.post('/api/file/:slug/increment-download', ensureMongoConnection, async (req, res) => {
   try {
     const { slug } = req.params;
+    const domain = await getRequestDomain(req);
     
-    const file = await File.findOne({ slug });
+    const file = await File.findOne({ slug, domain });
     
     if (!file) {
       return res.status(404).json({ message: 'File not found' });
     }
 
-    // Check if file has expired
-    if (file.expiresAt && new Date() > file.expiresAt) {
-      return res.status(410).json({ message: 'This file has expired' });
+    // Check if file has expired or isn't available yet
+    const unavailable = getFileAvailabilityError(file);
+    if (unavailable) {
+      const { status, ...body } = unavailable;
+      return res.status(status).json(body);
     }
 
-    const today = new Date().toISOString().split('T')[0];
-    
     // Increment download count and update analytics
-    await File.updateOne(
-      { slug },
-      { 
-        $inc: { downloads: 1 },
-        $set: { [`analytics.downloadsByDate.${today}`]: (file.analytics?.downloadsByDate?.[today] || 0) + 1 }
-      }
+    const updated = await File.findOneAndUpdate(
+      { _id: file._id },
+      { $inc: { downloads: 1, [`analytics.downloadsByDate.${new Date().toISOString().split('T')[0]}`]: 1 } },
+      { new: true, projection: { downloads: 1 } }
     );
+    publishStreamEvent('download', file, describeDownload(req, file));
 
-    return res.json({ success: true, downloads: file.downloads + 1 });
+    return res.json({ success: true, downloads: updated ? updated.downloads : file.downloads + 1 });
 
   } catch (error) {
     console.error('Error incrementing download count:', error);
@@ -1240,17 +5569,20 @@ app.post('/api/file/:slug/increment-download', ensureMongoConnection, async (req
 app.get('/api/file/:slug/download', ensureMongoConnection, async (req, res) => {
   try {
     const { slug } = req.params;
+    const domain = await getRequestDomain(req);
     const { password } = req.query;
     
-    const file = await File.findOne({ slug });
+    const file = await File.findOne({ slug, domain });
     
     if (!file) {
       return res.status(404).json({ message: 'File not found' });
     }
 
-    // Check if file has expired
-    if (file.expiresAt && new Date() > file.expiresAt) {
-      return res.status(410).json({ message: 'This file has expired' });
+    // Check if file has expired or isn't available yet
+    const unavailable = getFileAvailabilityError(file);
+    if (unavailable) {
+      const { status, ...body } = unavailable;
+      return res.status(status).json(body);
     }
 
     // Check password
@@ -1284,12 +5616,10 @@ app.get('/api/file/:slug/download', ensureMongoConnection, async (req, res) => {
 
     // Increment download count (don't await to speed up response)
     File.updateOne(
-      { slug },
-      { 
-        $inc: { downloads: 1 },
-        $set: { [`analytics.downloadsByDate.${new Date().toISOString().split('T')[0]}`]: (file.analytics?.downloadsByDate?.[new Date().toISOString().split('T')[0]] || 0) + 1 }
-      }
+      { _id: file._id },
+      { $inc: { downloads: 1, [`analytics.downloadsByDate.${new Date().toISOString().split('T')[0]}`]: 1 } }
     ).catch(err => console.error('Error updating download count:', err));
+    publishStreamEvent('download', file, describeDownload(req, file));
 
     // Serve file from MongoDB
     return res.send(file.data);
@@ -1300,67 +5630,97 @@ app.get('/api/file/:slug/download', ensureMongoConnection, async (req, res) => {
   }
 });
 
-// Get all files (for admin/dashboard)
-app.get('/api/files', ensureMongoConnection, async (req, res) => {
+// Get the files of the current user (for dashboard - admins see every file)
+app.get('/api/files', ensureMongoConnection, requireAuth, async (req, res) => {
   try {
-    const { page = 1, limit = 20, search = '' } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    let query = {};
-    if (search) {
-      query = {
-        $or: [
-          { slug: { $regex: search, $options: 'i' } },
-          { originalName: { $regex: search, $options: 'i' } }
-        ]
-      };
-    }
-    
-    const files = await File.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select('-analytics -data') // Exclude binary data and analytics for faster listing
-      .lean();
-    
-    const total = await File.countDocuments(query);
+    const { items, pagination } = await listDocuments(File, ownerFilter(req), req.query, {
+      clicksField: 'downloads',
+      searchFields: ['slug', 'originalName', 'title'],
+      statuses: ['active', 'scheduled', 'expired'],
+      select: '-analytics -data' // Exclude binary data and analytics for faster listing
+    });
     
-    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
-    const filesWithUrls = files.map(file => ({
+    const filesWithUrls = items.map(file => ({
       ...file,
-      shortUrl: `${baseUrl}/${file.type === 'image' ? 'i' : 'f'}/${file.slug}`,
-      isExpired: file.expiresAt ? new Date() > new Date(file.expiresAt) : false
+      shortUrl: buildFileShortUrl(file),
+      isExpired: file.expiresAt ? new Date() > new Date(file.expiresAt) : false,
+      status: getScheduleStatus(file)
     }));
     
     return res.json({
       files: filesWithUrls,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit))
-      }
+      pagination
     });
 
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error getting files:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Edit a file's title, tags or folder
+app.patch('/api/file/:slug', ensureMongoConnection, requireAuth, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const domain = await getRequestDomain(req);
+    const editableFields = { title: parseTitle, tags: parseTags, folder: parseFolder };
+
+    const unknownFields = Object.keys(req.body).filter(field => !Object.hasOwn(editableFields, field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({ message: `Fields cannot be edited: ${unknownFields.join(', ')}` });
+    }
+
+    const update = {};
+    try {
+      for (const [field, value] of Object.entries(req.body)) {
+        update[field] = editableFields[field](value);
+      }
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      return res.status(400).json({ message: error.message });
+    }
+
+    const file = await File.findOneAndUpdate(
+      { slug, domain, ...ownerFilter(req) },
+      { $set: update },
+      { new: true }
+    ).select('slug domain title tags folder');
+
+    if (!file) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    return res.json({
+      slug: file.slug,
+      domain: file.domain || DEFAULT_HOSTNAME,
+      title: file.title,
+      tags: file.tags,
+      folder: file.folder
+    });
+
+  } catch (error) {
+    console.error('Error updating file:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Delete a file
-app.delete('/api/file/:slug', async (req, res) => {
+app.delete('/api/file/:slug', ensureMongoConnection, requireAuth, async (req, res) => {
   try {
     const { slug } = req.params;
+    const domain = await getRequestDomain(req);
     
-    const file = await File.findOne({ slug });
+    const file = await File.findOne({ slug, domain, ...ownerFilter(req) }).select('-data');
     
     if (!file) {
       return res.status(404).json({ message: 'File not found' });
     }
 
     // Delete from database (removes binary data)
-    await File.deleteOne({ slug });
+    await File.deleteOne({ _id: file._id });
 
     return res.json({ message: 'File deleted successfully' });
 
@@ -1370,6 +5730,245 @@ app.delete('/api/file/:slug', async (req, res) => {
   }
 });
 
+// ==================== QR CODES ====================
+
+const QR_FORMATS = ['svg', 'png'];
+const QR_ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+const QR_COLOR_PATTERN = /^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+// Logo width as a share of the code; error correction H recovers the covered modules
+const QR_LOGO_RATIO = 0.22;
+// Logos are loaded into memory (and decoded for PNG codes), so keep them small
+const QR_LOGO_MAX_BYTES = 512 * 1024;
+const QR_LOGO_MAX_DIMENSION = 1024;
+// Query marker on encoded short URLs so scans show up as the "qr" channel in analytics
+const QR_SOURCE_PARAM = 'src';
+
+// Channel a visit came through, from the marker value: "qr" for scanned codes, else "link"
+function getVisitChannel(marker) {
+  return marker === 'qr' ? 'qr' : 'link';
+}
+
+function parseQrColor(value, fallback, name) {
+  if (value === undefined || value === '') return fallback;
+  const match = QR_COLOR_PATTERN.exec(String(value));
+  if (!match) {
+    throw new ValidationError(`${name} must be a hex color like #000000`);
+  }
+  const hex = match[1].length === 3 ? match[1].replace(/./g, char => char + char) : match[1];
+  return `#${hex.toLowerCase()}`;
+}
+
+function parseQrNumber(value, fallback, min, max, name) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new ValidationError(`${name} must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// Width and height from a PNG's IHDR chunk, read before decoding so huge images are never inflated
+function readPngDimensions(data) {
+  const signature = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  if (!data || data.length < 24 || !data.subarray(0, 8).equals(signature) || data.toString('ascii', 12, 16) !== 'IHDR') {
+    return null;
+  }
+  return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+}
+
+// Validate QR query options: format, size (px), ecLevel, dark/light colors, margin (modules)
+// and logo (short URL or slug of one of the user's uploaded images on the request's domain)
+async function parseQrOptions(query, user, domain) {
+  const format = query.format || 'svg';
+  if (!QR_FORMATS.includes(format)) {
+    throw new ValidationError(`Format must be one of ${QR_FORMATS.join(', ')}`);
+  }
+
+  let logo = null;
+  if (query.logo) {
+    const reference = /^https?:\/\//i.test(query.logo) ? query.logo : buildShortUrl(domain, query.logo, 'i');
+    if (!user) {
+      throw new ValidationError('Log in to add a logo');
+    }
+    const file = await findUploadedImage(reference, user, 'Logo');
+    if (!file) {
+      throw new ValidationError('Logo must be an image uploaded here');
+    }
+    // Anonymous uploads have no owner, so they can't be used as anyone's logo
+    if (!file.owner) {
+      throw new ValidationError('Logo must be one of your files');
+    }
+    const { size } = await File.findById(file._id).select('size');
+    if (size > QR_LOGO_MAX_BYTES) {
+      throw new ValidationError(`Logo must be at most ${QR_LOGO_MAX_BYTES / 1024} KB`);
+    }
+    logo = await File.findById(file._id).select('mimeType data');
+    if (format === 'png' && logo.mimeType !== 'image/png') {
+      throw new ValidationError('PNG QR codes only support PNG logos, use format=svg for other images');
+    }
+    if (logo.mimeType === 'image/png') {
+      const dimensions = readPngDimensions(logo.data);
+      if (!dimensions) {
+        throw new ValidationError('Logo is not a valid PNG image');
+      }
+      if (dimensions.width > QR_LOGO_MAX_DIMENSION || dimensions.height > QR_LOGO_MAX_DIMENSION) {
+        throw new ValidationError(`Logo must be at most ${QR_LOGO_MAX_DIMENSION}x${QR_LOGO_MAX_DIMENSION} pixels`);
+      }
+    }
+  }
+
+  const ecLevel = query.ecLevel ? String(query.ecLevel).toUpperCase() : (logo ? 'H' : 'M');
+  if (!QR_ERROR_CORRECTION_LEVELS.includes(ecLevel)) {
+    throw new ValidationError(`Error correction level must be one of ${QR_ERROR_CORRECTION_LEVELS.join(', ')}`);
+  }
+
+  return {
+    format,
+    size: parseQrNumber(query.size, 300, 64, 2048, 'Size'),
+    margin: parseQrNumber(query.margin, 4, 0, 20, 'Margin'),
+    ecLevel,
+    dark: parseQrColor(query.dark, '#000000', 'Dark color'),
+    light: parseQrColor(query.light, '#ffffff', 'Light color'),
+    logo
+  };
+}
+
+// Square logo box centered on the code, in the code's own units
+function getQrLogoBox(codeSize) {
+  const size = Math.round(codeSize * QR_LOGO_RATIO);
+  const padding = Math.max(1, Math.round(size * 0.08));
+  const offset = Math.round((codeSize - size) / 2);
+  return { size, padding, offset };
+}
+
+async function renderQrSvg(text, { size, margin, ecLevel, dark, light, logo }) {
+  const svg = await QRCode.toString(text, {
+    type: 'svg',
+    width: size,
+    margin,
+    errorCorrectionLevel: ecLevel,
+    color: { dark, light }
+  });
+  if (!logo) return svg;
+
+  // The SVG is drawn in modules (viewBox), so the logo box is computed in modules too
+  const modules = parseInt(/viewBox="0 0 (\d+)/.exec(svg)[1]);
+  const { size: logoSize, padding, offset } = getQrLogoBox(modules);
+  const href = `data:${logo.mimeType};base64,${logo.data.toString('base64')}`;
+  return svg.replace('</svg>',
+    `<rect x="${offset - padding / 2}" y="${offset - padding / 2}" width="${logoSize + padding}" height="${logoSize + padding}" fill="${light}"/>` +
+    `<image href="${href}" x="${offset}" y="${offset}" width="${logoSize}" height="${logoSize}" preserveAspectRatio="xMidYMid meet"/></svg>`);
+}
+
+async function renderQrPng(text, { size, margin, ecLevel, dark, light, logo }) {
+  const png = await QRCode.toBuffer(text, {
+    type: 'png',
+    width: size,
+    margin,
+    errorCorrectionLevel: ecLevel,
+    color: { dark, light }
+  });
+  if (!logo) return png;
+
+  const code = PNG.sync.read(png);
+  const image = PNG.sync.read(logo.data);
+  const { size: logoSize, padding, offset } = getQrLogoBox(code.width);
+
+  // Clear the logo area with the light color
+  const lightRgb = [1, 3, 5].map(index => parseInt(light.slice(index, index + 2), 16));
+  for (let y = offset - padding; y < offset + logoSize + padding; y++) {
+    for (let x = offset - padding; x < offset + logoSize + padding; x++) {
+      const index = (y * code.width + x) * 4;
+      code.data[index] = lightRgb[0];
+      code.data[index + 1] = lightRgb[1];
+      code.data[index + 2] = lightRgb[2];
+      code.data[index + 3] = 255;
+    }
+  }
+
+  // Scale the logo to fit the box (nearest neighbour, aspect ratio kept) and blend it in
+  const scale = Math.min(logoSize / image.width, logoSize / image.height);
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const left = offset + Math.floor((logoSize - width) / 2);
+  const top = offset + Math.floor((logoSize - height) / 2);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const source = (Math.min(image.height - 1, Math.floor(y / scale)) * image.width + Math.min(image.width - 1, Math.floor(x / scale))) * 4;
+      const target = ((top + y) * code.width + left + x) * 4;
+      const alpha = image.data[source + 3] / 255;
+      for (let channel = 0; channel < 3; channel++) {
+        code.data[target + channel] = Math.round(image.data[source + channel] * alpha + code.data[target + channel] * (1 - alpha));
+      }
+    }
+  }
+
+  return PNG.sync.write(code);
+}
+
+// Render a QR code for a short URL and send it (?download=1 saves it as a file)
+async function sendQrCode(req, res, shortUrl, filename, options) {
+  const target = new WebURL(shortUrl);
+  target.searchParams.set(QR_SOURCE_PARAM, 'qr');
+
+  const body = options.format === 'png'
+    ? await renderQrPng(target.href, options)
+    : await renderQrSvg(target.href, options);
+
+  res.setHeader('Content-Type', options.format === 'png' ? 'image/png' : 'image/svg+xml');
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  if (req.query.download) {
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${options.format}"`);
+  }
+  return res.send(body);
+}
+
+// QR code for a short link
+app.get('/api/url/:slug/qr', ensureMongoConnection, optionalAuth, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const domain = await getRequestDomain(req);
+
+    const url = await URL.findOne({ slug, domain }).select('slug domain');
+    if (!url) {
+      return res.status(404).json({ message: 'URL not found' });
+    }
+
+    const options = await parseQrOptions(req.query, req.user, domain);
+    return await sendQrCode(req, res, buildShortUrl(url.domain, url.slug), `qr-${url.slug}`, options);
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error generating QR code:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// QR code for a file
+app.get('/api/file/:slug/qr', ensureMongoConnection, optionalAuth, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const domain = await getRequestDomain(req);
+
+    const file = await File.findOne({ slug, domain }).select('slug domain type');
+    if (!file) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    const options = await parseQrOptions(req.query, req.user, domain);
+    return await sendQrCode(req, res, buildFileShortUrl(file), `qr-${file.slug}`, options);
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error generating QR code:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
   try {
@@ -1388,12 +5987,207 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+// ==================== REDIRECT ROUTES ====================
+// Registered last so the single-segment /:slug route never shadows API routes.
+
+// Redirect responses for temporary redirects must not be cached, or repeat visits skip the server
+// (and are never counted). 301/308 are cacheable by design.
+function sendRedirect(res, status, location) {
+  if (status === 302 || status === 307) {
+    res.setHeader('Cache-Control', 'no-store');
+  }
+  return res.redirect(status, location);
+}
+
+// Escape text for HTML content and attributes
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Page that tries to open an app (custom scheme) and goes to the fallback if that doesn't work
+function sendAppOpenPage(res, appUrl, fallbackUrl) {
+  // JSON in a script tag: escape "<" so a URL can't close the tag
+  const toScript = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  return res.send(`<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Opening app…</title>
+</head>
+<body>
+<p>Opening the app… <a href="${escapeHtml(fallbackUrl)}">Continue in the browser</a></p>
+<script>
+var fallbackUrl = ${toScript(fallbackUrl)};
+setTimeout(function () { if (!document.hidden) window.location.replace(fallbackUrl); }, 1500);
+window.location.href = ${toScript(appUrl)};
+</script>
+</body>
+</html>`);
+}
+
+// Minimal page with Open Graph / Twitter card tags for link crawlers
+function sendPreviewPage(res, { title, description, imageUrl, shortUrl, destination }) {
+  const tags = [
+    ['property', 'og:type', 'website'],
+    ['property', 'og:url', shortUrl],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:image', imageUrl],
+    ['name', 'twitter:card', imageUrl ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', imageUrl],
+    ['name', 'description', description]
+  ].filter(([, , content]) => content)
+    .map(([attribute, name, content]) => `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`);
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  return res.send(`<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title || shortUrl)}</title>
+${tags.join('\n')}
+</head>
+<body>
+<p><a href="${escapeHtml(destination)}">${escapeHtml(title || destination)}</a></p>
+</body>
+</html>`);
+}
+
+// Redirect a file short URL to its download route (/i/ for images, /f/ for other files)
+async function redirectToFile(req, res) {
+  try {
+    const { slug } = req.params;
+    const domain = await getRequestDomain(req);
+    
+    const file = await File.findOne({ slug, domain }).select('-data');
+    
+    if (!file) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    // Check if file has expired or isn't available yet
+    const unavailable = getFileAvailabilityError(file);
+    if (unavailable) {
+      const { status, ...body } = unavailable;
+      return res.status(status).json(body);
+    }
+
+    if (file.password && !req.query.password) {
+      return res.status(401).json({ message: 'Password required' });
+    }
+
+    // Record the view server-side with the same parsing as link clicks
+    const click = parseClickData(req);
+    await File.updateOne({ _id: file._id }, { $inc: { views: 1 } });
+    await trackFileAnalytics(file._id, req, {
+      browser: click.browser,
+      os: click.os,
+      deviceType: click.device,
+      country: click.country,
+      city: click.city,
+      referer: click.referer,
+      language: click.acceptLanguage ? click.acceptLanguage.split(',')[0].split('-')[0].trim() : null,
+      channel: getVisitChannel(req.query[QR_SOURCE_PARAM])
+    });
+
+    const query = file.password ? `?password=${encodeURIComponent(req.query.password)}` : '';
+    return sendRedirect(res, file.redirectType || 302, `/api/file/${encodeURIComponent(slug)}/download${query}`);
+
+  } catch (error) {
+    console.error('Error redirecting to file:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
+app.get('/i/:slug', ensureMongoConnection, redirectToFile);
+app.get('/f/:slug', ensureMongoConnection, redirectToFile);
+
+// Redirect a short URL to its destination, tracking the click server-side
+app.get('/:slug', ensureMongoConnection, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const domain = await getRequestDomain(req);
+    
+    const url = await URL.findOne({ slug, domain }).select('slug domain originalUrl activatesAt expiresAt redirectType owner maxClicks clicks countedClicks analytics.botClicks targetingRules variants deepLinks queryPassthrough preview disabled');
+    
+    if (!url) {
+      return res.status(404).json({ message: 'URL not found' });
+    }
+
+    // Check if URL has expired or reached its click limit
+    const unavailable = getUrlAvailabilityError(url);
+    if (unavailable) {
+      const { status, ...body } = unavailable;
+      return res.status(status).json(body);
+    }
+    
+    // Link unfurlers get the custom preview instead of the destination's. Not a click, so not tracked.
+    if (hasPreview(url) && detectPreviewCrawler(req.headers['user-agent'])) {
+      return sendPreviewPage(res, {
+        title: url.preview.title,
+        description: url.preview.description,
+        imageUrl: await getPreviewImageUrl(url.preview),
+        shortUrl: buildShortUrl(domain, url.slug),
+        destination: url.originalUrl
+      });
+    }
+
+    const { destination, matchedRule, variant, deepLinkPath, fallbackUrl } = applyQueryPassthrough(
+      resolveDestination(url, parseClickData(req)),
+      url,
+      getVisitorQuery(req)
+    );
+    
+    const clickId = new mongoose.Types.ObjectId();
+    setRedirectClickCookie(res, clickId);
+    // Recorded before responding: a serverless function can be frozen once the response is sent,
+    // and the client POST with the click cookie must find this click
+    await trackAnalytics(url, req, {}, {
+      _id: clickId,
+      source: 'redirect',
+      matchedRule,
+      variant,
+      deepLinkPath,
+      channel: getVisitChannel(req.query[QR_SOURCE_PARAM])
+    });
+    
+    // Custom-scheme app links need a page that falls back when the app isn't installed
+    if (fallbackUrl) {
+      return sendAppOpenPage(res, destination, fallbackUrl);
+    }
+    
+    return sendRedirect(res, url.redirectType || 302, destination);
+    
+  } catch (error) {
+    console.error('Error redirecting:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Start the server (only in non-serverless environment)
 if (process.env.VERCEL !== '1') {
   app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
   });
+
+  if (process.env.HEALTH_CHECKS !== 'off') {
+    startHealthChecks();
+  }
 }
 
 // Export for Vercel serverless
 export default app;
+
+// For the tests
+export { checkDestination };
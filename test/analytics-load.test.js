@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Needs a real database: MONGODB_TEST_URI=mongodb://localhost:27017/h4a-test npm test
+const databaseUri = process.env.MONGODB_TEST_URI;
+const skip = databaseUri ? false : 'set MONGODB_TEST_URI to run the load test';
+
+const CONCURRENCY = 50;
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.6099.109 Safari/537.36';
+
+let app;
+let mongoose;
+let server;
+let base;
+const slug = `load-${Date.now().toString(36)}`;
+
+before(async () => {
+  if (skip) return;
+  process.env.VERCEL = '1';
+  process.env.MONGODB_URI = databaseUri;
+  ({ default: app } = await import('../server.js'));
+  ({ default: mongoose } = await import('mongoose'));
+
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}`;
+  // Any request connects the app to the database, then the models can be used directly
+  await fetch(`${base}/api/url/${slug}`);
+
+  await mongoose.model('URL').create({ slug, originalUrl: 'https://example.com/' });
+  await mongoose.model('File').create({
+    slug,
+    originalName: 'load.txt',
+    mimeType: 'text/plain',
+    size: 4,
+    type: 'file',
+    data: Buffer.from('load')
+  });
+});
+
+after(async () => {
+  if (skip) return;
+  await mongoose.model('URL').deleteMany({ slug, domain: null });
+  await mongoose.model('File').deleteMany({ slug, domain: null });
+  await mongoose.model('ClickEvent').deleteMany({ slug, domain: null });
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await mongoose.disconnect();
+});
+
+function sum(map = {}) {
+  return Object.values(map).reduce((total, count) => total + count, 0);
+}
+
+test('concurrent clicks are all counted', { skip }, async () => {
+  const responses = await Promise.all(Array.from({ length: CONCURRENCY }, (_, index) =>
+    fetch(`${base}/api/analytics/${slug}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'User-Agent': USER_AGENT },
+      // A visitor each, so none of them is a repeat click
+      body: JSON.stringify({ visitorId: `load-visitor-${index}`, timezone: 'Europe/Berlin' })
+    })));
+  assert.ok(responses.every(response => response.ok));
+
+  const url = await mongoose.model('URL').findOne({ slug, domain: null }).lean();
+  assert.equal(url.clicks, CONCURRENCY);
+  assert.equal(url.countedClicks, CONCURRENCY);
+  const { analytics } = url;
+  assert.equal(analytics.humanClicks, CONCURRENCY);
+  for (const map of ['browsers', 'browserVersions', 'os', 'devices', 'timezones', 'clicksByDate', 'clicksByHour', 'clicksByDayOfWeek']) {
+    assert.equal(sum(analytics[map]), CONCURRENCY, `analytics.${map}`);
+  }
+  // Dotted keys are stored as one encoded key, not split into nested objects
+  assert.equal(Object.keys(analytics.browserVersions).length, 1);
+  assert.equal(Object.values(analytics.browserVersions)[0], CONCURRENCY);
+
+  assert.equal(await mongoose.model('ClickEvent').countDocuments({ slug, domain: null }), CONCURRENCY);
+});
+
+test('concurrent downloads are all counted', { skip }, async () => {
+  const responses = await Promise.all(Array.from({ length: CONCURRENCY }, () =>
+    fetch(`${base}/api/file/${slug}/increment-download`, { method: 'POST' })));
+  assert.ok(responses.every(response => response.ok));
+
+  const file = await mongoose.model('File').findOne({ slug, domain: null }).select('downloads analytics').lean();
+  assert.equal(file.downloads, CONCURRENCY);
+  assert.equal(sum(file.analytics.downloadsByDate), CONCURRENCY);
+});
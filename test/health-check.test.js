@@ -0,0 +1,114 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+// Load the app without starting the server; the database isn't needed for these checks
+process.env.VERCEL = '1';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:1/test';
+const { checkDestination } = await import('../server.js');
+const { default: mongoose } = await import('mongoose');
+
+// Local stand-in for destination servers
+let server;
+let base;
+const headRequests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.method === 'HEAD') headRequests.push(req.url);
+    switch (req.url) {
+      case '/ok':
+        return res.end('ok');
+      case '/missing':
+        res.statusCode = 404;
+        return res.end();
+      case '/no-head':
+        res.statusCode = req.method === 'HEAD' ? 405 : 200;
+        return res.end();
+      case '/redirect':
+        res.writeHead(302, { Location: '/ok' });
+        return res.end();
+      case '/redirect-loop':
+        res.writeHead(302, { Location: '/redirect-loop' });
+        return res.end();
+      case '/redirect-metadata':
+        res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+        return res.end();
+      case '/slow':
+        return setTimeout(() => res.end(), 2000);
+      default:
+        res.statusCode = 500;
+        return res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await mongoose.disconnect();
+});
+
+const local = { allowPrivateAddresses: true, timeoutMs: 1000 };
+
+test('a reachable destination is healthy', async () => {
+  const result = await checkDestination(`${base}/ok`, local);
+  assert.equal(result.ok, true);
+  assert.equal(result.statusCode, 200);
+  assert.equal(result.method, 'HEAD');
+  assert.equal(result.finalUrl, `${base}/ok`);
+});
+
+test('error statuses fail the check', async () => {
+  const result = await checkDestination(`${base}/missing`, local);
+  assert.equal(result.ok, false);
+  assert.equal(result.statusCode, 404);
+  assert.equal(result.method, 'GET');
+});
+
+test('servers that reject HEAD are retried with GET', async () => {
+  const result = await checkDestination(`${base}/no-head`, local);
+  assert.equal(result.ok, true);
+  assert.equal(result.method, 'GET');
+  assert.ok(headRequests.includes('/no-head'));
+});
+
+test('redirects are followed to the final URL', async () => {
+  const result = await checkDestination(`${base}/redirect`, local);
+  assert.equal(result.ok, true);
+  assert.equal(result.finalUrl, `${base}/ok`);
+});
+
+test('redirect loops give up', async () => {
+  const result = await checkDestination(`${base}/redirect-loop`, local);
+  assert.equal(result.ok, false);
+  assert.equal(result.error, 'too-many-redirects');
+});
+
+test('slow servers time out', async () => {
+  const result = await checkDestination(`${base}/slow`, { ...local, timeoutMs: 200 });
+  assert.equal(result.ok, false);
+  assert.equal(result.error, 'timeout');
+});
+
+test('redirects into private networks are blocked on every hop', async () => {
+  const result = await checkDestination(`${base}/redirect-metadata`, { ...local, allowPrivateAddresses: false });
+  assert.equal(result.ok, false);
+  assert.equal(result.error, 'blocked');
+});
+
+test('hostnames resolving to private addresses are blocked', async () => {
+  // localhost resolves to a loopback address
+  const result = await checkDestination(`http://localhost:${server.address().port}/ok`, { timeoutMs: 1000 });
+  assert.equal(result.ok, false);
+  assert.equal(result.error, 'blocked');
+  assert.equal(result.statusCode, null);
+});
+
+test('unreachable ports report a generic connection error', async () => {
+  const result = await checkDestination('http://127.0.0.1:1/', local);
+  assert.equal(result.ok, false);
+  assert.equal(result.error, 'connection');
+});